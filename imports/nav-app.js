@@ -6,26 +6,209 @@
 import { Meteor } from 'meteor/meteor';
 import {
   config,
+  screens,
+  currentScreen,
+  screenData,
   navStackLength,
+  activeNavStack,
   toScreen,
-  waitForCondition
+  getScreen,
+  waitForCondition,
+  ignoreReportedError,
+  reportNavigationError,
+  getRoutePath
 } from './nav-common.js';
+import {
+  saveNavStacks,
+  loadNavStacks,
+  clearPersistedNavStacks
+} from './nav-persistence.js';
+import { openRoute } from './nav-browser.js';
+import { inAppMode } from './nav-mode.js';
+import { getScrollPositions } from './nav-scroll.js';
+
+// The name of the nav stack used by screens that do not name their own.
+export const defaultNavStackName = 'main';
+
+/*
+ * The named navigation stacks (nav stacks), e.g. one per tab of a tab bar.
+ * Each keeps its own screen transition history for App Mode.
+ */
+export const navStacks = { [defaultNavStackName]: [] };
+
+// The forward stacks that correspond to the named nav stacks.
+export const forwardStacks = { [defaultNavStackName]: [] };
+
+// The name of the active nav stack.
+let activeNavStackName = defaultNavStackName;
 
 /*
  * The navigation stack (nav stack) keeps track of the screen transition
- * history for App Mode, i.e. when browser history is not being.
+ * history for App Mode, i.e. when browser history is not being. This is a
+ * live binding to the active one of the named nav stacks.
+ */
+export let navStack = navStacks[defaultNavStackName];
+
+/*
+ * The forward stack keeps track of the screens that were popped off the nav
+ * stack by backward transitions in App Mode, so that forward() can return to
+ * them. Its top is the next screen forward. This is a live binding to the
+ * forward stack of the active nav stack.
  */
-export const navStack = [];
+export let forwardStack = forwardStacks[defaultNavStackName];
+
+/**
+ * Persist the nav stacks, if it's enabled.
+ */
+const persistNavStacks = () =>
+  saveNavStacks(navStacks, activeNavStackName);
+
+/**
+ * Record the scroll positions of the screen at the top of the nav stack in
+ * its entry, before it is left.
+ */
+const recordScrollOfNavStackTop = () => {
+  if (config.restoreScroll && navStack.length > 0) {
+    navStack[navStack.length - 1].scroll = getScrollPositions();
+  }
+};
+
+/**
+ * Make a named nav stack the active one, creating it if necessary.
+ * @param {string} stackName - the name of the nav stack
+ */
+const activateNavStack = (stackName) => {
+  if (!_.has(navStacks, stackName)) {
+    navStacks[stackName] = [];
+    forwardStacks[stackName] = [];
+  }
+
+  activeNavStackName = stackName;
+  navStack = navStacks[stackName];
+  forwardStack = forwardStacks[stackName];
+  activeNavStack.set(stackName);
+  navStackLength.set(navStack.length);
+};
+
+/**
+ * Discard the restored nav stacks, and start afresh at the public "Home"
+ * screen or user "Home" screen, e.g. when the screen at the top of the active
+ * nav stack is no longer allowed.
+ */
+const discardRestoredNavStacks = () => {
+  _.each(_.keys(navStacks), (stackName) => {
+    navStacks[stackName].length = 0;
+    forwardStacks[stackName].length = 0;
+  });
+  activateNavStack(defaultNavStackName);
+  clearPersistedNavStacks();
+
+  const home = Meteor.userId && Meteor.userId() ?
+    config.appModeUserHome : config.appModePublicHome;
+  toScreen(home).catch(ignoreReportedError);
+};
+
+/**
+ * Resume at the screen at the top of the nav stack, e.g. after the nav stack
+ * has been restored on an app reload. The screen's access control is
+ * evaluated first, like for a URL, since the session may have ended
+ * meanwhile. If the screen is not allowed, the nav stacks are discarded.
+ */
+const resumeAtTopOfNavStack = () => {
+  const topScreen = navStack[navStack.length - 1];
+  const isAllowed = getScreen(topScreen.name).isAllowed;
+  const options = { shouldUpdateNavStack: false };
+  if (topScreen.screenData) {
+    _.extend(options, { screenData: topScreen.screenData });
+  }
+
+  /**
+   * Discard the nav stacks because evaluating the access control failed.
+   * @param {*} error - the error
+   */
+  const handleAccessControlError = (error) => {
+    reportNavigationError(error, { screenName: topScreen.name });
+    discardRestoredNavStacks();
+  };
+
+  let allowed;
+  try {
+    allowed = _.isFunction(isAllowed) ? isAllowed() : isAllowed;
+  } catch (error) {
+    handleAccessControlError(error);
+    return;
+  }
+
+  Promise.resolve(allowed).then((isScreenAllowed) => {
+    if (isScreenAllowed) {
+      toScreen(topScreen.name, options).catch(ignoreReportedError);
+    } else {
+      discardRestoredNavStacks();
+    }
+  }, handleAccessControlError);
+};
+
+/**
+ * Whether the route that the app was launched with is the URL of the screen at
+ * the top of a restored nav stack, i.e. the app is reloading, rather than
+ * being launched via a deep link. Since the URL follows the current screen, a
+ * screen without a path leaves the URL of an earlier screen, which is not a
+ * deep link either.
+ * @param {object} launchRoute - the route that the app was launched with
+ * @returns {boolean}
+ */
+const isLaunchRouteOfNavStackTop = (launchRoute) => {
+  const topScreen = navStack[navStack.length - 1];
+  const screen = topScreen && getScreen(topScreen.name);
+  if (!screen) {
+    return false;
+  }
+
+  const path = getRoutePath(
+    screen,
+    (topScreen.screenData && topScreen.screenData.params) || {}
+  );
+  return !path || path === launchRoute.path;
+};
 
 /**
  * Start app mode, i.e. without support for an entered URL or reload of a
  * specific screen. Instead, go to the public "Home" screen or user "Home"
- * screen on load.
+ * screen on load. If persistence of the nav stack is enabled, and a valid nav
+ * stack was persisted, restore it and resume at the screen at its top. If the
+ * app was launched via a deep link, go to the screen whose path matches it,
+ * unless that is the URL of the screen that a restored nav stack resumes at.
  * @param {string} publicHome - the screen that public users start at
  * @param {string} userHome - the screen that authenticated users start at
+ * @param {object} [launchRoute] - the route of the deep link, i.e. an object
+ *                                 that contains the 'path', 'search' and
+ *                                 'hash' keys
  */
-export const startAppMode = (publicHome, userHome) => {
+export const startAppMode = (publicHome, userHome, launchRoute) => {
+  let isRestored = false;
   if (navStack.length === 0) {
+    // Restore any persisted nav stacks, and re-activate the active one.
+    const persisted = loadNavStacks();
+    if (persisted) {
+      _.each(persisted.navStacks, (persistedNavStack, stackName) => {
+        activateNavStack(stackName);
+        navStack.push(...persistedNavStack);
+      });
+      activateNavStack(persisted.activeNavStack);
+      isRestored = navStack.length > 0;
+    }
+  }
+
+  if (
+    launchRoute &&
+    !(isRestored && isLaunchRouteOfNavStackTop(launchRoute))
+  ) {
+    /*
+     * We were launched via a deep link, so match its path like one entered
+     * in the browser. Its screen goes on top of a rebuilt nav stack.
+     */
+    openRoute(launchRoute, true);
+  } else if (navStack.length === 0) {
     // We are loading (for the first time).
     if (Meteor.userId && Meteor.userId()) {
       // It's a user session, but wait for the user object to be ready.
@@ -36,7 +219,7 @@ export const startAppMode = (publicHome, userHome) => {
           waitForCondition(
             'okToLoad',
             () => {
-              toScreen(userHome);
+              toScreen(userHome).catch(ignoreReportedError);
             }
           );
         }
@@ -46,22 +229,95 @@ export const startAppMode = (publicHome, userHome) => {
       waitForCondition(
         'okToLoad',
         () => {
-          toScreen(publicHome);
+          toScreen(publicHome).catch(ignoreReportedError);
         }
       );
     }
+  } else if (Meteor.userId && Meteor.userId()) {
+    /*
+     * It's an app reload in a user session, so wait for the user object and
+     * any reload conditions, then go to the screen at the top of the navStack.
+     */
+    waitForCondition(
+      Meteor.user,
+      () => {
+        waitForCondition('okToReload', resumeAtTopOfNavStack);
+      }
+    );
   } else {
-    // It's an app reload, so go to the screen at the top of the navStack??
-    // ToDo: Investigate a mechanism to store/retrieve state for mobile case
-    toScreen(navStack[navStack.length - 1], { shouldUpdateNavStack: false });
+    /*
+     * It's an app reload, so wait for any reload conditions, then go to the
+     * screen at the top of the navStack.
+     */
+    waitForCondition('okToReload', resumeAtTopOfNavStack);
   }
 };
 
 /**
- * Whether we are in App mode or not.
+ * Get the title of a screen for its nav stack entry, i.e. its title property,
+ * or the current result of it if it's a function.
+ * @param {object} screen - the screen object
+ * @returns {string}
  */
-export const inAppMode = () =>
-  config.inAppModeOnIos || config.inAppModeOnAndroid;
+const getNavStackTitle = screen =>
+  (_.isFunction(screen.title) ?
+    Tracker.nonreactive(screen.title) : screen.title);
+
+/**
+ * Go to the screen of a deep link (in App mode only), on top of a rebuilt nav
+ * stack, so that Back returns to a sensible screen. The root of the rebuilt
+ * nav stack is the home screen, or the root screen of the deep-linked
+ * screen's own nav stack. The nav stack is only rebuilt once the transition
+ * has happened.
+ * @param {string} name - the name of the deep-linked screen
+ * @param {object} [options] - the options for toScreen, e.g. 'screenData'
+ * @returns {Promise<boolean>} - a Promise of whether the transition happens
+ */
+export const loadDeepLinkedScreen = (name, options) => {
+  const screen = getScreen(name);
+  if (!screen) {
+    throw new Error(`A screen named ${name} has not been registered.`);
+  }
+
+  // Find the root screen of the deep-linked screen's nav stack.
+  const stackName = (options && options.navStack) || screen.navStack ||
+    defaultNavStackName;
+  const home = Meteor.userId && Meteor.userId() ?
+    config.appModeUserHome : config.appModePublicHome;
+  const rootScreen = stackName === defaultNavStackName ?
+    getScreen(home) :
+    _.findWhere(screens, { navStack: stackName }) || getScreen(home);
+
+  return toScreen(name, _.extend({}, _.omit(options, 'navStack'), {
+    shouldUpdateNavStack: false,
+    direction: 'reset'
+  })).then((isEntered) => {
+    if (isEntered) {
+      // Rebuild the nav stack with the root screen underneath.
+      activateNavStack(stackName);
+      navStack.length = 0;
+      forwardStack.length = 0;
+      if (rootScreen && rootScreen.name !== name) {
+        navStack.push({
+          name: rootScreen.name,
+          title: getNavStackTitle(rootScreen)
+        });
+      }
+
+      const screenState = { name: name, title: getNavStackTitle(screen) };
+      if (options && options.screenData) {
+        _.extend(screenState, { screenData: options.screenData });
+      }
+
+      // Set the new length of the nav stack, and persist it.
+      navStack.push(screenState);
+      navStackLength.set(navStack.length);
+      persistNavStacks();
+    }
+
+    return isEntered;
+  });
+};
 
 /**
  * Update the navigation stack (in App mode only).
@@ -69,52 +325,299 @@ export const inAppMode = () =>
  * @param {string|function} title - the title property of the screen
  * @param {object} screenData - the screen data associated with a
  *                              parameterized path
+ * @param {boolean} [shouldReplaceTop] - TRUE to replace the screen at the top
+ *                                       of the nav stack, instead of pushing
+ * @param {string} [stackName] - the name of the nav stack to update, which
+ *                               becomes the active one; defaults to the
+ *                               active nav stack
  */
-export const updateNavStack = (name, title, screenData) => {
-  const pushToNavStackAndUpdateLength = (screenState, _title) => {
-    // Add the title to the screen state.
-    _.extend(screenState, { title: _title });
+export const updateNavStack =
+  (name, title, screenData, shouldReplaceTop, stackName) => {
+    const pushToNavStackAndUpdateLength = (screenState, _title) => {
+      // Add the title to the screen state.
+      _.extend(screenState, { title: _title });
 
-    // Update the nav stack and the reactive variable with its length.
-    navStack.push(screenState);
-    navStackLength.set(navStack.length);
-  };
+      /*
+       * Replace the top of the nav stack, or push onto it. A push starts a new
+       * branch of history, so the forward stack no longer applies.
+       */
+      if (shouldReplaceTop && navStack.length > 0) {
+        navStack.pop();
+      } else {
+        forwardStack.length = 0;
+      }
 
-  if (inAppMode()) {
-    // We are in app mode. Initialize the screen state object.
-    const screenState = {
-      name: name
+      // Update the nav stack and the reactive variable with its length.
+      navStack.push(screenState);
+      navStackLength.set(navStack.length);
+
+      // Persist the nav stacks, if it's enabled.
+      persistNavStacks();
     };
 
-    // Add screen data if it is provided.
-    if (screenData) {
-      _.extend(screenState, { screenData: screenData });
-    }
+    if (inAppMode()) {
+      // Record the scroll positions of the screen that is being left.
+      if (!shouldReplaceTop) {
+        recordScrollOfNavStackTop();
+      }
 
-    if (_.isFunction(title)) {
-      // Compute the title.
-      Tracker.autorun((comp) => {
-        if (title()) {
-          pushToNavStackAndUpdateLength(screenState, title());
-          comp.stop();
-        }
-      });
-    } else {
-      // Assign the title.
-      pushToNavStackAndUpdateLength(screenState, title);
+      // Switch to the named nav stack, if necessary.
+      if (stackName && stackName !== activeNavStackName) {
+        activateNavStack(stackName);
+      }
+
+      // We are in app mode. Initialize the screen state object.
+      const screenState = {
+        name: name
+      };
+
+      // Add screen data if it is provided.
+      if (screenData) {
+        _.extend(screenState, { screenData: screenData });
+      }
+
+      if (_.isFunction(title)) {
+        // Compute the title.
+        Tracker.autorun((comp) => {
+          if (title()) {
+            pushToNavStackAndUpdateLength(screenState, title());
+            comp.stop();
+          }
+        });
+      } else {
+        // Assign the title.
+        pushToNavStackAndUpdateLength(screenState, title);
+      }
     }
-  }
-};
+  };
 
 /**
- * Reset the navigation stack, i.e. clear it and use the named screen as the
- * new starting point of navigation.
+ * Reset the navigation stack, i.e. go to the named screen, and once the
+ * transition has happened (or if it's already the current screen), clear the
+ * nav stack and use that screen as the new starting point of navigation.
  * @param {string} name - the name of the screen
  */
 export const resetNavStack = (name) => {
   if (inAppMode()) {
     check(name, String);
-    navStack.length = 0;
-    toScreen(name);
+
+    // If we are already on that screen, the nav stack is reset anyway.
+    const isCurrentScreen =
+      Tracker.nonreactive(() => currentScreen.get()) === name;
+    toScreen(name, { direction: 'reset', shouldUpdateNavStack: false })
+      .then((isEntered) => {
+        if (isEntered || isCurrentScreen) {
+          navStack.length = 0;
+          forwardStack.length = 0;
+          updateNavStack(
+            name,
+            getScreen(name).title,
+            Tracker.nonreactive(() => screenData.get())
+          );
+        }
+      })
+      .catch(ignoreReportedError);
   }
 };
+
+/**
+ * Resume in App Mode at the current screen, e.g. after the mode has changed
+ * from Browser Mode, i.e. start the active nav stack afresh with the current
+ * screen as its root.
+ */
+export const resumeInAppMode = () => {
+  navStack.length = 0;
+  forwardStack.length = 0;
+  navStackLength.set(0);
+
+  const name = Tracker.nonreactive(() => currentScreen.get());
+  if (name) {
+    updateNavStack(
+      name,
+      getScreen(name).title,
+      Tracker.nonreactive(() => screenData.get())
+    );
+  }
+};
+
+/**
+ * Go to the screen of a nav stack entry, without updating the nav stack. The
+ * scroll positions of the screen that is being left are recorded first.
+ * @param {object} screenState - the nav stack entry
+ * @param {string} [direction] - the direction of the transition, i.e.
+ *                               'forward' (default) or 'back'
+ * @returns {Promise<boolean>} - a Promise of whether the transition happens
+ */
+const goToNavStackEntry = (screenState, direction) => {
+  const options = {
+    shouldUpdateNavStack: false,
+    direction: direction || 'forward'
+  };
+  if (screenState.screenData) {
+    _.extend(options, { screenData: screenState.screenData });
+  }
+
+  recordScrollOfNavStackTop();
+  return toScreen(screenState.name, options);
+};
+
+/**
+ * Unwind the nav stack to the entry at an index, i.e. go to the screen of
+ * that entry, and once the transition has happened, move the entries above
+ * it to the forward stack.
+ * @param {number} index - the index of the nav stack entry
+ * @returns {boolean|Promise<boolean>} - FALSE if there is no such entry, or
+ *                                       else a Promise of whether the
+ *                                       transition happens
+ */
+const unwindNavStackTo = (index) => {
+  if (index < 0 || index >= navStack.length - 1) {
+    // There is no such entry below the top of the nav stack.
+    return false;
+  }
+
+  return goToNavStackEntry(navStack[index], 'back').then((isEntered) => {
+    if (isEntered) {
+      // Move the entries above the target to the forward stack.
+      forwardStack.push(...navStack.splice(index + 1).reverse());
+
+      // Set the new length of the nav stack, and persist it.
+      navStackLength.set(navStack.length);
+      persistNavStacks();
+    }
+
+    return isEntered;
+  });
+};
+
+/**
+ * Go back a number of screens along the nav stack (in App mode only).
+ * @param {number} steps - the number of screens to go back
+ * @returns {boolean|Promise<boolean>}
+ */
+export const backInNavStack = steps =>
+  unwindNavStackTo(navStack.length - 1 - steps);
+
+/**
+ * Go back along the nav stack to the nearest screen with a given name (in App
+ * mode only).
+ * @param {string} name - the name of the screen
+ * @returns {boolean|Promise<boolean>} - FALSE if the screen is not in the nav
+ *                                       stack below the current screen
+ */
+export const popTo = (name) => {
+  check(name, String);
+  if (!inAppMode()) {
+    return false;
+  }
+
+  for (let index = navStack.length - 2; index >= 0; index -= 1) {
+    if (navStack[index].name === name) {
+      return unwindNavStackTo(index);
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Go back along the nav stack to the screen at its root (in App mode only).
+ * @returns {boolean|Promise<boolean>}
+ */
+export const popToRoot = () => {
+  if (!inAppMode()) {
+    return false;
+  }
+
+  return unwindNavStackTo(0);
+};
+
+/**
+ * Go forward to the next screen, i.e. the screen most recently left by a
+ * backward transition.
+ * @returns {boolean|Promise<boolean>} - FALSE if there is no next screen, or
+ *                                       else (in App mode) a Promise of
+ *                                       whether the transition happens
+ */
+export const forward = () => {
+  if (config.supportUrls) {
+    // We are in Browser mode. Use the browser history to move forward.
+    window.history.forward();
+    return true;
+  }
+
+  if (forwardStack.length === 0) {
+    // There is no screen to move forward to.
+    return false;
+  }
+
+  const nextScreen = forwardStack[forwardStack.length - 1];
+  return goToNavStackEntry(nextScreen).then((isEntered) => {
+    if (isEntered) {
+      // Move the next screen back onto the nav stack, and persist it.
+      navStack.push(forwardStack.pop());
+      navStackLength.set(navStack.length);
+      persistNavStacks();
+    }
+
+    return isEntered;
+  });
+};
+
+/**
+ * Switch to a named nav stack, e.g. when a tab of a tab bar is selected, and
+ * go to the screen at its top with its screen data. If the nav stack is
+ * empty, go to its root screen instead, i.e. the one provided, or else the
+ * first screen registered with that nav stack.
+ * @param {string} stackName - the name of the nav stack
+ * @param {string} [rootScreen] - the name of the root screen of the nav stack
+ * @returns {boolean|Promise<boolean>} - FALSE if the nav stack is already
+ *                                       active, or else a Promise of whether
+ *                                       the transition happens
+ */
+export const switchNavStack = (stackName, rootScreen) => {
+  check(stackName, String);
+  check(rootScreen, Match.Optional(String));
+
+  const targetStack = navStacks[stackName] || [];
+  if (!inAppMode() || targetStack.length === 0) {
+    // Go to the root screen, pushing it onto the named nav stack.
+    const rootScreenName = rootScreen ||
+      (_.findWhere(screens, { navStack: stackName }) || {}).name;
+    if (!rootScreenName) {
+      throw new Error(`No root screen is known for nav stack ${stackName}`);
+    }
+
+    return toScreen(rootScreenName, { navStack: stackName });
+  }
+
+  if (stackName === activeNavStackName) {
+    // The nav stack is already active, so we stay.
+    return false;
+  }
+
+  /*
+   * Restore the screen at the top of the named nav stack, and once the
+   * transition has happened, make the nav stack the active one.
+   */
+  const topScreen = targetStack[targetStack.length - 1];
+  return goToNavStackEntry(topScreen).then((isEntered) => {
+    if (isEntered) {
+      activateNavStack(stackName);
+      persistNavStacks();
+    }
+
+    return isEntered;
+  });
+};
+
+/**
+ * Replace the current screen with another one, i.e. go to that screen, but
+ * replace the current entry of the browser history, or the top of the nav
+ * stack, instead of growing it.
+ * @param {string} name - the name of the screen
+ * @param {object} [options] - the options for toScreen
+ * @returns {Promise<boolean>}
+ */
+export const replace = (name, options) =>
+  toScreen(name, _.extend({}, options, { replace: true }));
@@ -4,36 +4,355 @@
  * @copyright DGTLife, LLC 2016
  */
 import { Meteor } from 'meteor/meteor';
+import { check } from 'meteor/check';
 import {
   config,
   screens,
   pathLookup,
+  redirects,
   toScreen,
-  waitForCondition
+  currentScreen,
+  screenData,
+  queryParams,
+  hashFragment,
+  waitForCondition,
+  startNavigation,
+  isCurrentNavigation,
+  whenSettled,
+  canLeaveCurrentScreen,
+  notFoundScreen,
+  accessDeniedScreen,
+  errorScreen,
+  navigationError,
+  reportNavigationError,
+  ignoreReportedError,
+  getScreen
 } from './nav-common.js';
+import { loadDeepLinkedScreen } from './nav-app.js';
+import { inAppMode } from './nav-mode.js';
+import {
+  getScrollPositions,
+  recordScrollForHistoryEntry,
+  forgetScrollFromHistoryEntry
+} from './nav-scroll.js';
+import { getParamsFromExecResult } from './path-mask.js';
+import {
+  parseQuery,
+  serializeQuery,
+  parseHash,
+  serializeHash
+} from './query-string.js';
+
+/**
+ * Get the base path under which the app is deployed, without a trailing
+ * slash, e.g. '/portal'. It only applies to the 'path' history mode.
+ * @returns {string}
+ */
+export const getBasePath = () =>
+  (config.historyMode === 'hash' ? '' : config.basePath.replace(/\/$/, ''));
+
+/**
+ * Split a route, e.g. '/search?q=foo#results', into its path, query string
+ * and hash fragment.
+ * @param {string} route - the route
+ * @returns {{path: string, search: string, hash: string}}
+ */
+const splitRoute = (route) => {
+  const hashIndex = route.indexOf('#');
+  const pathAndSearch = hashIndex === -1 ? route : route.slice(0, hashIndex);
+  const searchIndex = pathAndSearch.indexOf('?');
+  return {
+    path: (searchIndex === -1 ?
+      pathAndSearch : pathAndSearch.slice(0, searchIndex)) || '/',
+    search: searchIndex === -1 ? '' : pathAndSearch.slice(searchIndex),
+    hash: hashIndex === -1 ? '' : route.slice(hashIndex)
+  };
+};
+
+/**
+ * Strip the base path from a path, if the app is deployed under one.
+ * @param {string} path - the path of the URL
+ * @returns {string} - the path relative to the base path
+ */
+const stripBasePath = (path) => {
+  const basePath = getBasePath();
+  if (basePath && (path === basePath || path.indexOf(`${basePath}/`) === 0)) {
+    return path.slice(basePath.length) || '/';
+  }
+
+  return path;
+};
+
+/**
+ * Get the current route from the browser location, i.e. the path (relative to
+ * the base path), the query string and the hash fragment. In the 'hash'
+ * history mode, the route is stored in location.hash, e.g.
+ * '#/search?q=foo#results'.
+ * @returns {{path: string, search: string, hash: string}}
+ */
+export const getCurrentRoute = () => {
+  if (config.historyMode === 'hash') {
+    return splitRoute(window.location.hash.replace(/^#/, ''));
+  }
+
+  return {
+    path: stripBasePath(window.location.pathname),
+    search: window.location.search,
+    hash: window.location.hash
+  };
+};
+
+/**
+ * Get the route of a URL, e.g. 'https://example.com/orders/42?tab=items'. The
+ * origin and the base path are ignored. In the 'hash' history mode, a route
+ * in the hash fragment of the URL takes precedence.
+ * @param {string} url - an absolute or root-relative URL
+ * @returns {{path: string, search: string, hash: string}}
+ */
+export const getRouteFromUrl = (url) => {
+  const relativeUrl = url.replace(/^[a-z][a-z\d+.-]*:\/\/[^/?#]*/i, '');
+  const hashIndex = relativeUrl.indexOf('#');
+  if (config.historyMode === 'hash' && hashIndex !== -1) {
+    return splitRoute(relativeUrl.slice(hashIndex + 1));
+  }
+
+  const route = splitRoute(relativeUrl);
+  return _.extend(route, { path: stripBasePath(route.path) });
+};
+
+/**
+ * Build the URL for a route, according to the history mode and base path.
+ * @param {string} route - the path, query string and hash fragment of a route
+ * @returns {string} - the URL
+ */
+export const buildUrl = (route) => {
+  if (config.historyMode === 'hash') {
+    return `#${route}`;
+  }
+
+  return `${getBasePath()}${route}`;
+};
+
+/**
+ * Get the URL for a screen that has no path, i.e. the current URL with the
+ * screen's query string and hash fragment, if any. In the 'hash' history
+ * mode, these are not applied since they would replace the route.
+ * @param {string} urlSuffix - the query string and hash fragment
+ * @returns {string|undefined} - the URL, or undefined to keep the current one
+ */
+const getUrlForPathlessScreen = urlSuffix =>
+  (config.historyMode === 'hash' ? undefined : urlSuffix || undefined);
+
+/*
+ * The browser history state of the current screen. It is used to restore the
+ * URL when leaving the current screen via Back or Forward is vetoed.
+ */
+let currentHistoryState = null;
+
+// Whether the next 'popstate' event is the one that restores the URL.
+let isRestoringUrl = false;
+
+/**
+ * Restore the URL of the current screen after a 'popstate' event whose
+ * transition was vetoed, by moving back (or forward) along the browser
+ * history by the difference in the screen ids.
+ * @param {object} targetState - the state object of the vetoed history entry
+ */
+const restoreCurrentUrl = (targetState) => {
+  if (currentHistoryState && targetState.sid !== currentHistoryState.sid) {
+    isRestoringUrl = true;
+    window.history.go(currentHistoryState.sid - targetState.sid);
+  }
+};
 
 /**
 * Register an event listener for clicks on the Back and Forward buttons of
-* the browser in order to support navigation along the browser history.
+* the browser in order to support navigation along the browser history. The
+* leave guards of the current screen are consulted first, and the URL is
+* restored if they veto leaving.
 */
 export const handleBrowserBackAndForward = () => {
   window.addEventListener('popstate', (event) => {
+    /*
+     * The listener stays registered if the mode changes to App mode, where
+     * the nav stack handles Back and Forward instead.
+     */
+    if (inAppMode() || !config.useBrowserBackAndForward) {
+      return;
+    }
+
+    if (isRestoringUrl) {
+      // This event just restored the URL of the current screen.
+      isRestoringUrl = false;
+      return;
+    }
+
     if (event.state) {
-      /*
-       * Go to the screen indicated by the state object, but don't update the
-       * browser history. Supply any screen data that the state object
-       * contains.
-       */
-      const options = { shouldUpdateBrowserHistory: false };
-      if (event.state.screenData) {
-        _.extend(options, { screenData: event.state.screenData });
+      const targetState = event.state;
+
+      // If a leave guard fails, report it, and stay, like toScreen does.
+      const handleLeaveGuardError = (error) => {
+        reportNavigationError(error, { screenName: targetState.name });
+        restoreCurrentUrl(targetState);
+      };
+
+      let canLeave;
+      try {
+        canLeave = canLeaveCurrentScreen(targetState.name);
+      } catch (error) {
+        handleLeaveGuardError(error);
+        return;
       }
 
-      toScreen(event.state.name, options);
+      const guarded = whenSettled(canLeave, (isLeaveAllowed) => {
+        if (!isLeaveAllowed) {
+          // Leaving was vetoed, so put the URL back.
+          restoreCurrentUrl(targetState);
+          return;
+        }
+
+        /*
+         * Go to the screen indicated by the state object, but don't update
+         * the browser history, or consult the leave guards again. Supply any
+         * screen data, query params and hash that the state object contains.
+         */
+        const options = {
+          shouldUpdateBrowserHistory: false,
+          shouldCheckCanLeave: false
+        };
+        if (targetState.screenData) {
+          _.extend(options, { screenData: targetState.screenData });
+        }
+
+        if (targetState.query) {
+          _.extend(options, { query: targetState.query });
+        }
+
+        if (targetState.hash) {
+          _.extend(options, { hash: targetState.hash });
+        }
+
+        // The screen ids tell whether this is a Back or a Forward.
+        const isBack = Boolean(currentHistoryState) &&
+          targetState.sid < currentHistoryState.sid;
+        _.extend(options, { direction: isBack ? 'back' : 'forward' });
+
+        // Record the scroll positions of the entry that is being left.
+        if (currentHistoryState) {
+          recordScrollForHistoryEntry(currentHistoryState.sid);
+        }
+
+        currentHistoryState = targetState;
+        toScreen(targetState.name, options).catch(ignoreReportedError);
+      });
+
+      Promise.resolve(guarded).catch(handleLeaveGuardError);
+    }
+  });
+};
+
+/**
+ * Register an event listener for the 'hashchange' event in the 'hash' history
+ * mode, in order to load the screen for a route that is entered or linked to
+ * directly in location.hash. Back and Forward are handled by the 'popstate'
+ * listener, since those history entries have a state object.
+ */
+export const handleHashChange = () => {
+  window.addEventListener('hashchange', () => {
+    // The listener stays registered if the mode changes to App mode.
+    if (inAppMode()) {
+      return;
+    }
+
+    // A hash fragment that is not a route, e.g. '#top', is left alone.
+    if (!window.history.state && /^#\//.test(window.location.hash)) {
+      // The new history entry has no state, so load its route into it.
+      const route = getCurrentRoute();
+      startBrowserMode(route.path, route.search, route.hash, true);
+    }
+  });
+};
+
+// Whether the listeners for browser navigation have been registered.
+let isListeningForBrowserNavigation = false;
+
+/**
+ * Register the event listeners for browser navigation, i.e. for the Back and
+ * Forward buttons of the browser, if they are supported, and for routes
+ * entered directly in location.hash, in the 'hash' history mode. They are
+ * registered only once, even if Browser mode is resumed.
+ */
+export const listenForBrowserNavigation = () => {
+  if (isListeningForBrowserNavigation) {
+    return;
+  }
+
+  isListeningForBrowserNavigation = true;
+  if (config.useBrowserBackAndForward) {
+    handleBrowserBackAndForward();
+  }
+
+  if (config.historyMode === 'hash') {
+    handleHashChange();
+  }
+};
+
+/**
+ * Resume in Browser mode at the current screen, e.g. after the mode has
+ * changed from App mode, i.e. listen for browser navigation, and write the
+ * current screen into the current entry of the browser history.
+ */
+export const resumeInBrowserMode = () => {
+  listenForBrowserNavigation();
+
+  const name = Tracker.nonreactive(() => currentScreen.get());
+  if (name) {
+    const screen = getScreen(name);
+    Tracker.nonreactive(() => {
+      updateBrowserHistory(
+        name,
+        screen.path,
+        screen.pathMask,
+        screen.generatePath,
+        screenData.get(),
+        queryParams.get(),
+        hashFragment.get(),
+        true
+      );
+    });
+  }
+};
+
+/**
+ * Register an event listener for the 'beforeunload' event in order to consult
+ * the leave guards of the current screen when the page is about to be
+ * unloaded (reload, close, or navigation to another site). The browser can
+ * only be asked to confirm synchronously, so an async leave guard is not
+ * honored here.
+ */
+export const handleBeforeUnload = () => {
+  window.addEventListener('beforeunload', (event) => {
+    const isLeaveAllowed = canLeaveCurrentScreen(null);
+    if (isLeaveAllowed === false) {
+      // Ask the browser to confirm leaving.
+      event.preventDefault();
+      event.returnValue = '';
     }
   });
 };
 
+/**
+ * Whether the navigation that a screen spec belongs to has been cancelled by
+ * a newer navigation, e.g. one triggered from the UI while the screen's
+ * access control or data was still being resolved.
+ * @param {object} screenSpec - an object that optionally contains the
+ *                              'navigationId' key
+ * @returns {boolean}
+ */
+const isStale = screenSpec =>
+  _.has(screenSpec, 'navigationId') &&
+  !isCurrentNavigation(screenSpec.navigationId);
+
 /**
  * Load an allowed screen in browser mode, with any included screen data.
  * @param {object} screenSpec - an object that contains the 'name' key, of the
@@ -42,10 +361,51 @@ export const handleBrowserBackAndForward = () => {
  */
 export const loadTargetScreenInBrowserMode = (screenSpec) => {
   const name = screenSpec.name;
-  const options = _.omit(screenSpec, 'name');
+  let options = _.omit(
+    screenSpec,
+    'name',
+    'navigationId',
+    'isDeepLink',
+    'openedRoute'
+  );
+
+  /*
+   * An opened route (e.g. a clicked link) is not in the history yet, so its
+   * screen is pushed, even if it was reached via an alias or a redirect.
+   */
+  if (screenSpec.openedRoute) {
+    options = _.omit(options, 'replace');
+  }
 
-  // Check if
-  if (window.history.state) {
+  /**
+   * Go to the screen, unless a newer navigation has started meanwhile.
+   */
+  const goToScreen = () => {
+    if (!isStale(screenSpec)) {
+      toScreen(name, options).catch(ignoreReportedError);
+    }
+  };
+
+  if (inAppMode()) {
+    /*
+     * Go to the screen after any relevant conditions are ready. A deep link
+     * goes on top of a rebuilt nav stack.
+     */
+    waitForCondition('okToLoad', () => {
+      if (screenSpec.isDeepLink && !isStale(screenSpec)) {
+        loadDeepLinkedScreen(name, _.omit(options, 'replace'))
+          .catch(ignoreReportedError);
+      } else {
+        goToScreen();
+      }
+    });
+    return;
+  }
+
+  if (screenSpec.openedRoute) {
+    // Go to the screen of the opened route.
+    goToScreen();
+  } else if (window.history.state) {
     //  A browser history object exists.
     if (name === window.history.state.name) {
       /**
@@ -56,48 +416,218 @@ export const loadTargetScreenInBrowserMode = (screenSpec) => {
         'okToReload',
         () => {
           _.extend(options, { shouldUpdateBrowserHistory: false });
-          toScreen(name, options);
+          goToScreen();
         }
       );
     } else {
       // Go to this new screen.
-      toScreen(name, options);
+      goToScreen();
     }
   } else {
     /**
      * This is likely a first load in a new window or tab, so go to this
-     * screen, after any relevant conditions are ready.
+     * screen, after any relevant conditions are ready. Its browser history
+     * entry already exists, so replace it rather than pushing a duplicate.
      */
-    waitForCondition(
-      'okToLoad',
-      () => {
-        toScreen(name, options);
-      }
-    );
+    _.extend(options, { replace: true });
+    waitForCondition('okToLoad', goToScreen);
+  }
+};
+
+/**
+ * Go to a screen in place of the one requested by a URL, e.g. a system screen
+ * or the login screen. In Browser mode, it replaces the current entry of the
+ * browser history, which already has the requested URL, unless the URL was
+ * opened (e.g. via a link). In App mode, a deep link goes on top of a rebuilt
+ * nav stack.
+ * @param {string} name - the name of the screen
+ * @param {object} screenData - the screen data for the screen
+ * @param {object} screenSpec - the spec of the requested screen, i.e. an
+ *                              object that optionally contains the
+ *                              'isDeepLink' and 'openedRoute' keys
+ */
+const toScreenInPlaceOfRequested = (name, screenData, screenSpec) => {
+  if (inAppMode() && screenSpec.isDeepLink) {
+    loadDeepLinkedScreen(name, { screenData: screenData })
+      .catch(ignoreReportedError);
+  } else {
+    toScreen(name, {
+      screenData: screenData,
+      replace: !inAppMode() && !screenSpec.openedRoute
+    }).catch(ignoreReportedError);
   }
 };
 
+/**
+ * Go to a system screen, i.e. 'Not Found', 'Access Denied' or 'Error', while
+ * keeping the originally requested URL in the address bar. A system screen
+ * has no path, so replacing the current browser history entry with it keeps
+ * the URL, and lets Back and Forward return to the system screen.
+ * @param {string} name - the name of the system screen
+ * @param {object} details - the screen data for the system screen, i.e. the
+ *                           'reason', and any other details
+ * @param {object} screenSpec - the spec of the requested screen
+ */
+const toSystemScreen = (name, details, screenSpec) => {
+  const attemptedRoute = screenSpec.openedRoute || getCurrentRoute();
+  const systemScreenData = _.extend({
+    attemptedPath: _.values(attemptedRoute).join('')
+  }, details);
+
+  toScreenInPlaceOfRequested(name, systemScreenData, screenSpec);
+};
+
+// The computation that waits for login in order to redirect the user.
+let loginRedirectComputation = null;
+
+/**
+ * Cancel the redirect of the user after login, if one is pending, e.g. when
+ * the user leaves the login screen.
+ */
+export const cancelLoginRedirect = () => {
+  if (loginRedirectComputation) {
+    loginRedirectComputation.stop();
+    loginRedirectComputation = null;
+  }
+};
+
+/**
+ * Send an anonymous user to the login screen, and remember the requested
+ * screen. After login, i.e. when Meteor.userId() changes, go to the requested
+ * URL again, so that the screen's access control is re-evaluated for the
+ * user. The login screen receives the requested screen in its screen data.
+ * @param {object} screenSpec - an object that contains the 'name' key, of the
+ *                              requested screen object and optionally a
+ *                              'screenData' object
+ */
+const redirectToLogin = (screenSpec) => {
+  const returnTo = _.extend(
+    { name: screenSpec.name, screenData: screenSpec.screenData },
+    screenSpec.openedRoute || getCurrentRoute()
+  );
+
+  // Only the most recently requested screen is remembered.
+  cancelLoginRedirect();
+
+  // The login screen takes the place of the requested one in the history.
+  toScreenInPlaceOfRequested(
+    config.loginScreen,
+    { returnTo: _.pick(returnTo, 'name', 'screenData', 'path') },
+    screenSpec
+  );
+
+  loginRedirectComputation = Tracker.autorun((comp) => {
+    if (Meteor.userId()) {
+      /*
+       * The user has logged in, so go to the requested URL, which takes the
+       * place of the login screen in the history.
+       */
+      comp.stop();
+      loginRedirectComputation = null;
+      Tracker.nonreactive(() => {
+        startBrowserMode(
+          returnTo.path,
+          returnTo.search,
+          returnTo.hash,
+          true
+        );
+      });
+    }
+  });
+};
+
 /**
  * A helper function for processing access control. It loads a screen if it
- * 'is allowed', or loads 'Access Denied' if it is not.
+ * 'is allowed'. If it is not, it sends an anonymous user to the login screen
+ * (when one is configured), or loads 'Access Denied'.
  * @param {object} screenSpec - an object that contains the 'name' key, of the
  *                              screen object and optionally a 'screenData'
  *                              object
  * @param {boolean} isAllowed - TRUE if the screen is allowed for the user
  */
 const applyAccessControl = (screenSpec, isAllowed) => {
+  if (isStale(screenSpec)) {
+    // A newer navigation has started, so this one never lands.
+    return;
+  }
+
   if (isAllowed) {
     // The light is green.
     loadTargetScreenInBrowserMode(screenSpec);
+  } else if (config.loginScreen && Meteor.userId && !Meteor.userId()) {
+    // The light is red, but the user may log in to get the green light.
+    redirectToLogin(screenSpec);
   } else {
     // The light is red. Show 'Access Denied'
-    toScreen('Access Denied');
+    toSystemScreen(accessDeniedScreen, {
+      reason: 'accessDenied',
+      screenName: screenSpec.name
+    }, screenSpec);
+  }
+};
+
+/**
+ * Handle the failure of an access control function, i.e. an 'isAllowed'
+ * function that threw or rejected. The error is reported to the global
+ * 'onNavigationError' function, and the 'Error' system screen is shown, or
+ * 'Access Denied' if there is no 'Error' screen.
+ * @param {object} screenSpec - an object that contains the 'name' key, of the
+ *                              screen object
+ * @param {*} error - the error
+ */
+const handleAccessControlError = (screenSpec, error) => {
+  const details = { screenName: screenSpec.name };
+  reportNavigationError(error, details);
+  if (isStale(screenSpec)) {
+    // A newer navigation has started, so this one never lands.
+    return;
+  }
+
+  if (getScreen(errorScreen)) {
+    navigationError.set(_.extend({ error: error }, details));
+    toSystemScreen(errorScreen, _.extend({
+      reason: 'accessError',
+      errorMessage: (error && error.message) || String(error)
+    }, details), screenSpec);
+  } else {
+    toSystemScreen(accessDeniedScreen, {
+      reason: 'accessDenied',
+      screenName: screenSpec.name
+    }, screenSpec);
+  }
+};
+
+/**
+ * Evaluate an access control function, and apply its result once it is
+ * settled. If it fails, the failure is handled instead.
+ * @param {object} screenSpec - an object that contains the 'name' key, of the
+ *                              screen object and optionally a 'screenData'
+ *                              object
+ * @param {function} isAllowed - the access control function
+ */
+const evaluateAccessControl = (screenSpec, isAllowed) => {
+  let result;
+  try {
+    result = isAllowed();
+  } catch (error) {
+    handleAccessControlError(screenSpec, error);
+    return;
+  }
+
+  if (result && _.isFunction(result.then)) {
+    result.then(
+      allowed => applyAccessControl(screenSpec, allowed),
+      error => handleAccessControlError(screenSpec, error)
+    );
+  } else {
+    applyAccessControl(screenSpec, result);
   }
 };
 
 /**
  * Evaluate the 'isAllowed' function, if one is associated with the screen.
- * Otherwise, just use the boolean.
+ * Otherwise, just use the boolean. The function may return a Promise of the
+ * boolean.
  * @param {object} screenSpec - an object that contains the 'name' and
  *                              'isAllowed' keys, of the screen object and
  *                              optionally a 'screenData' object
@@ -116,20 +646,20 @@ const isScreenAllowed = (screenSpec) => {
     if (Meteor.userId && Meteor.userId()) {
       if (Meteor.user()) {
         // The user object is ready, so evaluate the function.
-        applyAccessControl(screen, isAllowed());
+        evaluateAccessControl(screen, isAllowed);
       } else {
         // The user object is not ready, so wait for it, ...
         waitForCondition(
           Meteor.user,
           () => {
             // ... then evaluate the function.
-            applyAccessControl(screen, isAllowed());
+            evaluateAccessControl(screen, isAllowed);
           }
         );
       }
     } else {
       // It's not a user session, so proceed.
-      applyAccessControl(screen, isAllowed());
+      evaluateAccessControl(screen, isAllowed);
     }
   } else {
     // It's a simple boolean.
@@ -137,15 +667,27 @@ const isScreenAllowed = (screenSpec) => {
   }
 };
 
+/*
+ * The screen data load that failed most recently, i.e. an object with the
+ * 'params' and the 'screenSpec' passed to retrieveScreenData, so that it can
+ * be retried.
+ */
+let failedLoad = null;
+
 /**
- * Retrieve the screen data associated with the parameter(s) in a path.
- * @param {array} execResult - the result of calling the 'exec' method of the
- *                             RegExp pattern against the path
+ * Retrieve the screen data associated with the parameter(s) in a path. If it
+ * fails, the error is reported to the global 'onNavigationError' function,
+ * and the 'Error' system screen is shown, from which the load can be retried.
+ * Without an 'Error' screen, 'Not Found' is shown, if it's registered.
+ * @param {object|array} params - the params object, keyed by name, for a
+ *                                compiled path mask, or the result of calling
+ *                                the 'exec' method of an explicit RegExp
+ *                                pattern against the path
  * @param {object} screenSpec - an object that contains the 'name',
  *                              'isAllowed', and 'getDataFromParams' keys of the
  *                              screen object
  */
-const retrieveScreenData = (execResult, screenSpec) => {
+const retrieveScreenData = (params, screenSpec) => {
   let screen = screenSpec;
   if (!screen.getDataFromParams) {
     throw new Error(
@@ -155,9 +697,10 @@ const retrieveScreenData = (execResult, screenSpec) => {
 
   /*
    * It is likely that the screen data result will depend on calls to the
-   * database, so 'getDataFromParams' must use a callback to send its result.
+   * database, so 'getDataFromParams' must either use a callback to send its
+   * result, or return a Promise of it.
    */
-  screen.getDataFromParams(execResult, (result, error) => {
+  const handleResult = (result, error) => {
     if (!error) {
       /*
        * Remove the 'getDataFromParams' key from the screenSpec. Add in the
@@ -166,10 +709,77 @@ const retrieveScreenData = (execResult, screenSpec) => {
       screen = _.omit(screen, 'getDataFromParams');
       screen = _.extend(screen, { screenData: result });
       isScreenAllowed(screen);
-    } else {
-      throw new Error(`Error retrieving data for ${screen.name}`);
+    } else if (!isStale(screen)) {
+      const details = { screenName: screen.name, params: params };
+      reportNavigationError(error, details);
+
+      if (!getScreen(errorScreen)) {
+        /*
+         * There is no screen to show the error on, so show 'Not Found', if
+         * it's registered, or else stay put.
+         */
+        if (getScreen(notFoundScreen)) {
+          toSystemScreen(notFoundScreen, _.extend({
+            reason: 'dataError'
+          }, details), screen);
+        }
+
+        return;
+      }
+
+      // Remember the failed load, and show the error.
+      failedLoad = { params: params, screenSpec: screenSpec };
+      navigationError.set(_.extend({ error: error }, details));
+      toSystemScreen(errorScreen, _.extend({
+        reason: 'dataError',
+        errorMessage: (error && error.message) || String(error)
+      }, details), screen);
     }
-  });
+  };
+
+  // A loader that throws fails like one that rejects.
+  let promise;
+  try {
+    promise = screen.getDataFromParams(params, handleResult);
+  } catch (error) {
+    handleResult(undefined, error || true);
+    return;
+  }
+
+  if (promise && _.isFunction(promise.then)) {
+    promise.then(
+      result => handleResult(result),
+      error => handleResult(undefined, error || true)
+    );
+  }
+};
+
+/**
+ * Retry the screen data load that failed most recently, e.g. from the 'Error'
+ * system screen.
+ * @returns {boolean} - FALSE if there is no failed load to retry
+ */
+export const retry = () => {
+  if (!failedLoad) {
+    return false;
+  }
+
+  const load = failedLoad;
+  failedLoad = null;
+  navigationError.set(null);
+
+  /*
+   * The retry is a new navigation, which supersedes any that is pending. The
+   * screen takes the place of the 'Error' screen in the history.
+   */
+  retrieveScreenData(
+    load.params,
+    _.extend(_.omit(load.screenSpec, 'openedRoute'), {
+      navigationId: startNavigation(),
+      replace: true
+    })
+  );
+  return true;
 };
 
 /**
@@ -177,8 +787,11 @@ const retrieveScreenData = (execResult, screenSpec) => {
  * @param {object} registeredPath - the registered path object that contains
  *                                  the RegExp pattern that matches the path
  * @param {string} path - the path
+ * @param {object} urlExtras - an object that contains the 'query' and 'hash'
+ *                             keys parsed from the URL, and the
+ *                             'navigationId' of the navigation
  */
-const checkForPathParameters = (registeredPath, path) => {
+const checkForPathParameters = (registeredPath, path, urlExtras) => {
   const screen = _.findWhere(screens, { name: registeredPath.name });
 
   // Use the 'exec' method on the RegExp to check for parameters.
@@ -189,39 +802,185 @@ const checkForPathParameters = (registeredPath, path) => {
      * There are no parameters in this path. So check whether the screen is
      * allowed.
      */
-    screenSpec = _.pick(screen, 'name', 'isAllowed');
+    screenSpec = _.extend(_.pick(screen, 'name', 'isAllowed'), urlExtras);
     isScreenAllowed(screenSpec);
   } else {
     /*
      * One or more parameters will need to be extracted, and this means we
      * will need to retrieve screen data in order to render the screen.
      */
-    screenSpec = _.pick(screen, 'name', 'isAllowed', 'getDataFromParams');
-    retrieveScreenData(execResult, screenSpec);
+    screenSpec = _.extend(
+      _.pick(screen, 'name', 'isAllowed', 'getDataFromParams'),
+      urlExtras
+    );
+    if (registeredPath.paramNames) {
+      // The pattern was compiled from a path mask, so name the params.
+      retrieveScreenData(
+        getParamsFromExecResult(execResult, registeredPath.paramNames),
+        screenSpec
+      );
+    } else {
+      retrieveScreenData(execResult, screenSpec);
+    }
+  }
+};
+
+// The maximum number of redirects followed for one navigation.
+const maxRedirects = 10;
+
+/**
+ * Find the target of the first registered redirect whose pattern matches a
+ * path, and that does not decline to redirect.
+ * @param {string} path - the path
+ * @param {object} query - the query params parsed from the URL
+ * @returns {{target: (string|object), params: (object|array),
+ *   hasNamedParams: boolean}|null}
+ */
+const findRedirect = (path, query) => {
+  let redirect = null;
+  _.find(redirects, (registeredRedirect) => {
+    const execResult = registeredRedirect.pathPattern.exec(path);
+    if (!execResult) {
+      return false;
+    }
+
+    const params = registeredRedirect.paramNames ?
+      getParamsFromExecResult(execResult, registeredRedirect.paramNames) :
+      execResult;
+    const target = _.isFunction(registeredRedirect.to) ?
+      registeredRedirect.to(params, query || {}) : registeredRedirect.to;
+    if (target) {
+      redirect = {
+        target: target,
+        params: params,
+        hasNamedParams: Boolean(registeredRedirect.paramNames)
+      };
+    }
+
+    return Boolean(target);
+  });
+
+  return redirect;
+};
+
+/**
+ * Follow a redirect, i.e. load its target in place of the redirected path.
+ * @param {object} redirect - the redirect found for the path
+ * @param {object} urlExtras - an object that contains the 'query' and 'hash'
+ *                             keys parsed from the URL, and the
+ *                             'navigationId' of the navigation
+ * @param {number} redirectCount - the number of redirects followed so far
+ */
+const followRedirect = (redirect, urlExtras, redirectCount) => {
+  const target = redirect.target;
+  const extras = _.extend(
+    _.pick(urlExtras, 'navigationId', 'isDeepLink', 'openedRoute'),
+    { replace: true }
+  );
+
+  if (_.isString(target)) {
+    // It's a path, so match it like a path entered in the browser.
+    const route = splitRoute(target);
+    const query = parseQuery(route.search);
+    const hash = parseHash(route.hash);
+    if (!_.isEmpty(query)) {
+      extras.query = query;
+    }
+
+    if (hash) {
+      extras.hash = hash;
+    }
+
+    findPathPatternMatch(
+      accountForTrailingSlash(route.path),
+      extras,
+      redirectCount + 1
+    );
+    return;
+  }
+
+  // It's a screen spec.
+  const screen = getScreen(target.name);
+  if (!screen) {
+    throw new Error(`A screen named ${target.name} has not been registered.`);
+  }
+
+  if (
+    !target.screenData && redirect.hasNamedParams &&
+    screen.pathMask && screen.generatePath
+  ) {
+    /*
+     * Generate the path of the screen from the matched params, so that its
+     * screen data is retrieved from them as usual. The params matched by a
+     * RegExp pattern are not named, so they cannot generate a path.
+     */
+    findPathPatternMatch(
+      screen.generatePath(screen.pathMask, redirect.params),
+      _.extend(extras, _.pick(target, 'query', 'hash')),
+      redirectCount + 1
+    );
+    return;
   }
+
+  isScreenAllowed(_.extend(
+    { name: screen.name, isAllowed: screen.isAllowed },
+    _.pick(target, 'screenData', 'query', 'hash'),
+    extras
+  ));
 };
 
 /**
  * Find the registered path that contains the RegExp pattern that matches
- * (is satisfied by) a path.
+ * (is satisfied by) a path. Registered redirects are matched first, and
+ * alias paths replace the browser history entry with the screen's own path.
  * @param {string} path - the path
+ * @param {object} urlExtras - an object that contains the 'query' and 'hash'
+ *                             keys parsed from the URL, and the
+ *                             'navigationId' of the navigation
+ * @param {number} [redirectCount] - the number of redirects followed so far
  */
-const findPathPatternMatch = (path) => {
+const findPathPatternMatch = (path, urlExtras, redirectCount) => {
+  const redirect = findRedirect(path, urlExtras.query);
+  if (redirect) {
+    if ((redirectCount || 0) >= maxRedirects) {
+      // We are going around in circles, so stop.
+      reportNavigationError(
+        new Error(`Too many redirects for path ${path}`),
+        { path: path }
+      );
+      toSystemScreen(
+        notFoundScreen,
+        { reason: 'tooManyRedirects' },
+        urlExtras
+      );
+    } else {
+      followRedirect(redirect, urlExtras, redirectCount || 0);
+    }
+
+    return;
+  }
+
   const matchedPath = _.find(pathLookup, registeredPath =>
     registeredPath.pathPattern.test(path));
 
   if (matchedPath) {
     /*
      * We have a matched path pattern, and matchedPath is the stored path
-     * object that produced the match. Now, check for path parameters.
+     * object that produced the match. Now, check for path parameters. If it's
+     * an alias path, the screen's own path will replace it in the history.
      */
-    checkForPathParameters(matchedPath, path);
+    checkForPathParameters(
+      matchedPath,
+      path,
+      matchedPath.isAlias ?
+        _.extend({}, urlExtras, { replace: true }) : urlExtras
+    );
   } else {
     /*
      * We have no matched path pattern. The path is not known, so show the
      * 'Not Found' screen.
      */
-    toScreen('Not Found');
+    toSystemScreen(notFoundScreen, { reason: 'notFound' }, urlExtras);
   }
 };
 
@@ -244,13 +1003,95 @@ const accountForTrailingSlash = (path) => {
   return path;
 };
 
+/**
+ * Whether a path matches a registered redirect or path pattern, i.e. whether
+ * it is a path of the app.
+ * @param {string} path - the path
+ * @returns {boolean}
+ */
+export const isRegisteredPath = (path) => {
+  const accountedPath = accountForTrailingSlash(path);
+  return _.some(
+    redirects.concat(pathLookup),
+    registeredPath => registeredPath.pathPattern.test(accountedPath)
+  );
+};
+
+/**
+ * Load the screen that corresponds to a route.
+ * @param {string} path - the path of the route
+ * @param {string} search - the query string of the route
+ * @param {string} hash - the hash fragment of the route
+ * @param {object} urlExtras - an object that optionally contains the
+ *                             'replace', 'isDeepLink' and 'openedRoute' keys
+ */
+const loadRoute = (path, search, hash, urlExtras) => {
+  const query = parseQuery(search);
+  if (!_.isEmpty(query)) {
+    urlExtras.query = query;
+  }
+
+  const parsedHash = parseHash(hash);
+  if (parsedHash) {
+    urlExtras.hash = parsedHash;
+  }
+
+  // This navigation supersedes any that is still pending.
+  urlExtras.navigationId = startNavigation();
+
+  findPathPatternMatch(accountForTrailingSlash(path), urlExtras);
+};
+
 /**
  * Start the processing that (eventually) loads the screen that corresponds to
  * the path in the browser.
  * @param {string} path - the current path in the browser
+ * @param {string} [search] - the current query string in the browser
+ * @param {string} [hash] - the current hash fragment in the browser
+ * @param {boolean} [shouldReplace] - TRUE to replace the current entry of the
+ *                                    browser history with the screen
+ */
+export const startBrowserMode = (path, search, hash, shouldReplace) => {
+  const urlExtras = {};
+  if (shouldReplace) {
+    urlExtras.replace = true;
+  }
+
+  // Track the state of the current screen, e.g. on a reload.
+  currentHistoryState = window.history.state;
+
+  loadRoute(path, search, hash, urlExtras);
+};
+
+/**
+ * Open a route, i.e. go to the screen that corresponds to it, e.g. when a
+ * link is clicked. The screen is pushed onto the browser history, or the nav
+ * stack.
+ * @param {{path: string, search: string, hash: string}} route - the route
+ * @param {boolean} [isDeepLink] - TRUE if it's a deep link, i.e. the nav
+ *                                 stack is rebuilt underneath the screen in
+ *                                 App mode
  */
-export const startBrowserMode = path =>
-  findPathPatternMatch(accountForTrailingSlash(path));
+export const openRoute = (route, isDeepLink) => {
+  const urlExtras = { openedRoute: route };
+  if (isDeepLink) {
+    urlExtras.isDeepLink = true;
+  }
+
+  loadRoute(route.path, route.search, route.hash, urlExtras);
+};
+
+/**
+ * Open a URL, i.e. go to the screen whose path matches it, as if the URL had
+ * been entered in the browser, e.g. for a link received in a notification. In
+ * App Mode, the nav stack is rebuilt with the home screen underneath the
+ * screen, so that Back returns to it.
+ * @param {string} url - an absolute or root-relative URL
+ */
+export const openUrl = (url) => {
+  check(url, String);
+  openRoute(getRouteFromUrl(url), true);
+};
 
 /**
  * Update the browser history to enable support for Back and Forward buttons
@@ -264,9 +1105,15 @@ export const startBrowserMode = path =>
  *                                  the screen data (it's screen-specific)
  * @param {object} screenData - the screen data associated with a
  *                              parameterized path
+ * @param {object} [query] - the query params to append to the path
+ * @param {string} [hash] - the hash fragment to append to the path
+ * @param {boolean} [shouldReplace] - TRUE to replace the current entry of the
+ *                                    browser history, instead of pushing a
+ *                                    new one
  */
 export const updateBrowserHistory =
-  (name, path, pathMask, generatePath, screenData) => {
+  (name, path, pathMask, generatePath, screenData, query, hash,
+    shouldReplace) => {
     // Initialize the screen state object.
     const screenState = {
       sid: (function getSid() {
@@ -274,11 +1121,33 @@ export const updateBrowserHistory =
           return 1;
         }
 
+        // A replaced entry keeps its position in the browser history.
+        if (shouldReplace) {
+          return window.history.state.sid || 1;
+        }
+
         return 1 + window.history.state.sid;
       }()),
       name: name
     };
 
+    // Push a new entry, or replace the current one.
+    const historyMethod = shouldReplace ? 'replaceState' : 'pushState';
+
+    /*
+     * Before pushing, record the scroll positions of the current entry in its
+     * state object, which survives a reload. The entries that the new one
+     * discards are forgotten.
+     */
+    if (!shouldReplace && window.history.state && config.restoreScroll) {
+      recordScrollForHistoryEntry(window.history.state.sid);
+      forgetScrollFromHistoryEntry(screenState.sid);
+      window.history.replaceState(
+        _.extend({}, window.history.state, { scroll: getScrollPositions() }),
+        document.title
+      );
+    }
+
     // Add screen data if it is provided.
     let params;
     if (screenData) {
@@ -288,6 +1157,17 @@ export const updateBrowserHistory =
       params = null;
     }
 
+    // Add the query params and hash, and serialize them for the URL.
+    if (!_.isEmpty(query)) {
+      _.extend(screenState, { query: query });
+    }
+
+    if (hash) {
+      _.extend(screenState, { hash: hash });
+    }
+
+    const urlSuffix = `${serializeQuery(query)}${serializeHash(hash)}`;
+
     if (pathMask && params && !path) {
       /*
        * This is a parameterized path. Construct the pathname by using the
@@ -295,13 +1175,26 @@ export const updateBrowserHistory =
        */
       const parameterizedPath = generatePath(pathMask, params);
 
-      // Push the state, document.title, and path into browser history.
-      window.history.pushState(screenState, document.title, parameterizedPath);
+      // Write the state, document.title, and path into browser history.
+      window.history[historyMethod](
+        screenState,
+        document.title,
+        buildUrl(`${parameterizedPath}${urlSuffix}`)
+      );
     } else {
       /*
-       * This is a literal path. Push the state, document.title, and path into
-       * the browser history.
+       * This is a literal path (or no path at all, in which case the URL is
+       * left unchanged). Write the state, document.title, and path into the
+       * browser history.
        */
-      window.history.pushState(screenState, document.title, path);
+      window.history[historyMethod](
+        screenState,
+        document.title,
+        path ?
+          buildUrl(`${path}${urlSuffix}`) : getUrlForPathlessScreen(urlSuffix)
+      );
     }
+
+    // Track the state of the current screen.
+    currentHistoryState = screenState;
   };
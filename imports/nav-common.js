@@ -4,24 +4,53 @@
  * @copyright DGTLife, LLC 2016
  */
 /* eslint new-cap: ["error", { "capIsNewExceptionPattern": "^Match\.." }] */
+import { Meteor } from 'meteor/meteor';
 import { ReactiveVar } from 'meteor/reactive-var';
 import { ReactiveDict } from 'meteor/reactive-dict';
 import { _ } from 'meteor/underscore';
 import { Template } from 'meteor/templating';
 import { check, Match } from 'meteor/check';
 import Pattern from './pattern.js';
+import {
+  compilePathMask,
+  compilePath,
+  generatePathFromMask,
+  getPathRank,
+  comparePathRanks
+} from './path-mask.js';
 import {
   updateBrowserHistory,
-  handleBrowserBackAndForward,
-  startBrowserMode
+  listenForBrowserNavigation,
+  resumeInBrowserMode,
+  handleBeforeUnload,
+  getCurrentRoute,
+  startBrowserMode,
+  cancelLoginRedirect
 } from './nav-browser.js';
 import {
   navStack,
-  inAppMode,
   updateNavStack,
   resetNavStack,
-  startAppMode
+  backInNavStack,
+  startAppMode,
+  resumeInAppMode
 } from './nav-app.js';
+import {
+  appMode,
+  inAppMode,
+  initMode,
+  watchDisplayMode
+} from './nav-mode.js';
+import { resetRegions } from './nav-regions.js';
+import { restoreScroll, initScrollRestoration } from './nav-scroll.js';
+import {
+  getPathOfScreen,
+  registerNavLink,
+  registerLinkHelpers,
+  handleNavLinkClicks,
+  handleLinkClicks
+} from './nav-links.js';
+import { warnAboutRouteProblems } from './route-diagnostics.js';
 
 // The config object, which holds properties for Nav.
 export const config = {
@@ -50,30 +79,105 @@ export const config = {
    */
   useBrowserBackAndForward: true,
 
+  /*
+   * The base path under which the app is deployed, e.g. '/portal' behind a
+   * reverse proxy. It starts with a '/'. It is stripped from the URL before
+   * matching, and prepended to generated paths.
+   */
+  basePath: '',
+
+  /*
+   * The history mode in Browser mode, i.e. 'path' to store the route in the
+   * path of the URL, or 'hash' to store it in location.hash (e.g. in a
+   * Cordova 'file://' shell).
+   */
+  historyMode: 'path',
+
+  /*
+   * Enable/disable handling clicks on links (<a href>) to the registered
+   * paths of the app, i.e. going to their screens without a page load.
+   */
+  interceptLinks: true,
+
   /*
    * A Boolean that is TRUE when the app is running in full-screen/standalone
-   * mode on an iOS device. It is initialized as false.
+   * mode on an iOS device. It is initialized as false. When it is provided to
+   * Nav.run, it overrides the detection of the mode.
    */
   inAppModeOnIos: false,
 
   /*
    * A Boolean that is TRUE when the app is running in full-screen/standalone
-   * mode on an Android device. It is initialized as false.
+   * mode on an Android device. It is initialized as false. When it is
+   * provided to Nav.run, it overrides the detection of the mode.
    */
   inAppModeOnAndroid: false,
 
+  /*
+   * The Web Storage used to persist the nav stack across reloads in App Mode,
+   * i.e. 'localStorage' or 'sessionStorage'. Persistence is disabled when it
+   * is null.
+   */
+  navStackStorage: null,
+
+  /*
+   * The version of the persisted nav stack. A persisted nav stack with a
+   * different version (e.g. from an older build) is discarded on reload.
+   */
+  navStackVersion: '1',
+
+  /*
+   * Enable/disable matching the URL that the app is launched with against the
+   * registered paths in App Mode, i.e. support for deep links.
+   */
+  appModeDeepLinks: false,
+
   // The first screen that loads in a non-authenticated session in App Mode.
   appModePublicHome: 'Home',
 
   // The first screen that loads in an authenticated session in App Mode.
   appModeUserHome: 'Home',
 
-  // The Not Found template (name).
+  /*
+   * The content helper into which the templates of modal screens are
+   * rendered, above the content helpers of the current screen.
+   */
+  overlayContentHelper: 'overlayContent',
+
+  /*
+   * The Not Found template (name). It is rendered into the first content
+   * helper by the 'Not Found' system screen, unless the app registers its own
+   * screen with that name.
+   */
   notFoundTemplate: 'not_found',
 
-  // The Access Denied template (name).
+  /*
+   * The Access Denied template (name). It is rendered into the first content
+   * helper by the 'Access Denied' system screen, unless the app registers its
+   * own screen with that name.
+   */
   accessDeniedTemplate: 'access_denied',
 
+  /*
+   * The Error template (name). It is rendered into the first content helper
+   * by the 'Error' system screen, when the data for a screen cannot be
+   * retrieved, unless the app registers its own screen with that name.
+   */
+  errorTemplate: 'navigation_error',
+
+  /*
+   * A function that runs whenever a navigation fails, e.g. to report it. It
+   * receives the error, and an object with the 'screenName' and any 'params'.
+   */
+  onNavigationError: null,
+
+  /*
+   * The screen that an anonymous user is sent to, when a screen is not
+   * allowed for them. After login, Navigate goes to the screen that was
+   * originally requested. If it is null, 'Access Denied' is shown instead.
+   */
+  loginScreen: null,
+
   // A function that runs before each and every screen is rendered.
   beforeScreens: null,
 
@@ -83,6 +187,53 @@ export const config = {
   // A function that runs upon leaving each and every screen.
   onDestroyScreens: null,
 
+  /*
+   * A function that runs when each and every transition starts, i.e. before
+   * the templates of the screen are rendered. It receives an object with the
+   * names of the screens transitioned 'from' and 'to', and the 'direction',
+   * i.e. 'forward', 'back', 'replace' or 'reset'. It may return a Promise,
+   * e.g. of the end of an animation, which ends the transition.
+   */
+  onTransitionStart: null,
+
+  /*
+   * A function that runs when each and every transition ends, i.e. after the
+   * templates of the screen are rendered, and any Promise returned by
+   * 'onTransitionStart' settles. It receives the same object.
+   */
+  onTransitionEnd: null,
+
+  /*
+   * Enable/disable keeping the outgoing template of each content helper
+   * mounted during a transition, i.e. rendered by the '<helper>Outgoing'
+   * helper (e.g. 'mainOutgoing'), until the Promise returned by
+   * 'onTransitionStart' settles. This enables e.g. push/pop animations.
+   */
+  keepOutgoingTemplates: false,
+
+  /*
+   * Enable/disable recording the scroll positions of each screen when it is
+   * left, and restoring them on backward navigation. On forward navigation,
+   * the screen is scrolled to the top, or to the element of the hash fragment.
+   */
+  restoreScroll: true,
+
+  /*
+   * The scroll containers whose scroll positions are restored along with the
+   * window's, i.e. an object in which each key is a content helper, and each
+   * value is the CSS selector of the element that scrolls its content, e.g.
+   * { main: '.main-content' }.
+   */
+  scrollContainers: {},
+
+  /*
+   * A function that runs before leaving each and every screen. It receives
+   * the names of the current screen and the target screen (null when the
+   * page is being unloaded), and returns FALSE (or a Promise of FALSE) to
+   * veto leaving.
+   */
+  canLeaveScreens: null,
+
   /*
    * An object in which each key is an array of functions. Each function
    * returns a Boolean. All functions must return TRUE before the function
@@ -93,25 +244,125 @@ export const config = {
   conditionsToWaitFor: {
     okToLoad: [],
     okToReload: []
-  }
+  },
+
+  /*
+   * An object in which each key is a condition id (see conditionsToWaitFor),
+   * and each value is an object with a 'timeout' (in ms) and an optional
+   * 'onTimeout' fallback, i.e. the name of a screen to go to, or a function
+   * to run. If the condition is still pending when the timeout expires, the
+   * fallback runs; by default, the 'Error' system screen is shown.
+   */
+  conditionTimeouts: {},
+
+  /*
+   * The Loading template (name). If it is set, it is rendered into the first
+   * content helper while a condition is pending.
+   */
+  loadingTemplate: null
 };
 
 // The array of screen objects.
 export const screens = [];
 
+// The names of the system screens.
+export const notFoundScreen = 'Not Found';
+export const accessDeniedScreen = 'Access Denied';
+export const errorScreen = 'Error';
+
 /*
  * An array of objects containing the name-pathPattern pairs associated with
- * screens, and used to match a path to a screen when URLs are supported.
+ * screens, and used to match a path to a screen when URLs are supported. It
+ * is sorted by specificity, so the most specific matching pattern wins,
+ * regardless of the order in which the screens were registered.
  */
 export const pathLookup = [];
 
+/*
+ * An array of objects containing the pathPattern-target pairs of redirects,
+ * which are matched against a path before the screens are.
+ */
+export const redirects = [];
+
 // Reactive variables.
 export const currentScreen = new ReactiveVar(null);
 export const screenData = new ReactiveVar({});
+export const queryParams = new ReactiveVar({});
+export const hashFragment = new ReactiveVar('');
+export const modalData = new ReactiveVar({});
+export const navigationError = new ReactiveVar(null);
 export const navStackLength = new ReactiveVar(0);
+export const activeNavStack = new ReactiveVar('main');
 export const isComputing = new ReactiveVar(false);
 const reactive = new ReactiveDict();
 
+// A reactive variable for the current route, which is set once per transition.
+const currentRouteVar = new ReactiveVar(null);
+
+// A reactive variable for the direction of the latest transition.
+const transitionDirectionVar = new ReactiveVar(null);
+
+/*
+ * A reactive dictionary for the outgoing template of each content helper,
+ * which is kept mounted while a transition is animated.
+ */
+const outgoingTemplates = new ReactiveDict();
+
+// The id of the latest transition, which owns the outgoing templates.
+let latestTransitionId = 0;
+
+/*
+ * The screen underneath a modal screen that is presented, i.e. an object with
+ * its 'name', 'screenData', 'query' and 'hash', or null when no modal screen
+ * is presented.
+ */
+let underlyingScreen = null;
+
+/**
+ * Whether a modal screen is presented above the current screen (reactive).
+ * @returns {boolean}
+ */
+export const isModalPresented = () => {
+  const name = currentScreen.get();
+  const screen = name && _.findWhere(screens, { name: name });
+  return Boolean(screen && screen.presentation === 'modal');
+};
+
+/**
+ * Get the name of the template that is rendered into a content helper
+ * (reactive).
+ * @param {string} helper - the content helper
+ * @returns {string|null}
+ */
+export const getContentTemplate = helper => reactive.get(helper) || null;
+
+/**
+ * Set the name of the template to render into a content helper.
+ * @param {string} helper - the content helper
+ * @param {string|null} template - the name of the template
+ */
+export const setContentTemplate = (helper, template) =>
+  reactive.set(helper, template);
+
+/**
+ * Report a failed navigation to the global 'onNavigationError' function, if
+ * there is one.
+ * @param {*} error - the error
+ * @param {object} details - an object with the 'screenName' and any 'params'
+ */
+export const reportNavigationError = (error, details) => {
+  if (config.onNavigationError) {
+    config.onNavigationError(error, details);
+  }
+};
+
+/**
+ * Handle the rejection of a navigation that Navigate starts by itself, e.g. on
+ * a popstate event, where nobody else awaits the result. toScreen has already
+ * reported the error, so it's only kept from being an unhandled rejection.
+ */
+export const ignoreReportedError = () => {};
+
 /**
  * Set the config based on the options supplied to Nav.run by the user.
  * @param {object} options - the options provided
@@ -126,6 +377,151 @@ const setConfig = (options) => {
   );
 };
 
+// The id of the latest navigation, used to cancel stale (superseded) ones.
+let latestNavigationId = 0;
+
+/**
+ * Start a new navigation, which supersedes any navigation still pending.
+ * @returns {number} - the id of the new navigation
+ */
+export const startNavigation = () => {
+  latestNavigationId += 1;
+  return latestNavigationId;
+};
+
+/**
+ * Whether a navigation is still the latest one, i.e. it has not been
+ * cancelled by a newer navigation.
+ * @param {number} navigationId - the id of the navigation
+ * @returns {boolean}
+ */
+export const isCurrentNavigation = navigationId =>
+  navigationId === latestNavigationId;
+
+/**
+ * Call a function with a value once that value is settled, i.e. immediately
+ * for a plain value, or once it resolves for a Promise (or other thenable).
+ * This keeps a transition synchronous when none of its hooks are async.
+ * @param {*} value - a plain value or a Promise
+ * @param {function} func - the function to call with the settled value
+ * @returns {*} - the result of the function, or a Promise of it
+ */
+export const whenSettled = (value, func) => {
+  if (value && _.isFunction(value.then)) {
+    return value.then(func);
+  }
+
+  return func(value);
+};
+
+/**
+ * Evaluate the leave guards of the current screen, i.e. the global
+ * 'canLeaveScreens' function, then the screen's own 'canLeave' function. Only
+ * an explicit FALSE vetoes leaving.
+ * @param {string|null} targetName - the name of the screen being navigated
+ *                                   to, or null if the page is unloading
+ * @returns {boolean|Promise<boolean>} - TRUE if the current screen can be left
+ */
+export const canLeaveCurrentScreen = (targetName) => {
+  const name = Tracker.nonreactive(() => currentScreen.get());
+  if (!name) {
+    // There is no current screen to leave.
+    return true;
+  }
+
+  const screen = _.findWhere(screens, { name: name });
+  const globalResult = config.canLeaveScreens ?
+    config.canLeaveScreens(name, targetName) : true;
+
+  return whenSettled(globalResult, (isGloballyAllowed) => {
+    if (isGloballyAllowed === false) {
+      return false;
+    }
+
+    if (screen && screen.canLeave) {
+      return whenSettled(
+        screen.canLeave(targetName),
+        isAllowed => isAllowed !== false
+      );
+    }
+
+    return true;
+  });
+};
+
+/**
+ * Get the current route (reactive), i.e. an object with the following keys:
+ *   * name {string} - the name of the current screen
+ *   * path {string|null} - the path of the screen, relative to the base path,
+ *     or null if it has none
+ *   * params {object} - the params of the path, i.e. the 'params' of the
+ *     screen data
+ *   * query {object} - the query params
+ *   * hash {string} - the hash fragment
+ *   * screenData {object} - the screen data (the modal data of a modal screen)
+ *   * previous {string|null} - the name of the previous screen
+ *   * direction {string} - the direction of the transition to the screen, i.e.
+ *     'forward', 'back', 'replace' or 'reset'
+ * It is updated all at once, when a transition is committed, so it's never
+ * seen half-updated.
+ * @returns {object|null} - the current route, or null before the first screen
+ */
+export const currentRoute = () => currentRouteVar.get();
+
+/**
+ * Get the direction of the latest transition (reactive), i.e. 'forward',
+ * 'back', 'replace' or 'reset'. It is set when the transition starts, e.g. to
+ * choose a push or pop animation.
+ * @returns {string|null} - the direction, or null before the first screen
+ */
+export const transitionDirection = () => transitionDirectionVar.get();
+
+/**
+ * End a transition, once its templates are rendered, and any animation
+ * Promise returned by the 'onTransitionStart' function settles, i.e. unmount
+ * the outgoing templates (unless a newer transition owns them), and run the
+ * 'onTransitionEnd' function.
+ * @param {object} transition - the transition, i.e. an object with the
+ *                              'from', 'to' and 'direction' keys
+ * @param {number} transitionId - the id of the transition
+ * @param {*} animation - the value returned by 'onTransitionStart'
+ */
+const endTransition = (transition, transitionId, animation) => {
+  const finish = () => {
+    if (transitionId === latestTransitionId) {
+      outgoingTemplates.clear();
+    }
+
+    if (config.onTransitionEnd) {
+      config.onTransitionEnd(transition);
+    }
+  };
+
+  Tracker.afterFlush(() => {
+    if (animation && _.isFunction(animation.then)) {
+      animation.then(finish, finish);
+    } else {
+      finish();
+    }
+  });
+};
+
+/**
+ * Get the path of a screen for the current route, or null if the params do
+ * not complete its path mask.
+ * @param {object} screen - the screen object
+ * @param {object} params - the params of the path
+ * @returns {string|null}
+ */
+export const getRoutePath = (screen, params) => {
+  try {
+    return getPathOfScreen(screen, params);
+  } catch (error) {
+    // The screen was entered without the params of its path.
+    return null;
+  }
+};
+
 /**
  * Go to a screen, i.e. make this screen the current one. Options can be
  * provided:
@@ -133,76 +529,258 @@ const setConfig = (options) => {
  *                                            history should be updated or not
  *   * {boolean} shouldUpdateNavStack - indicates whether the navigation stack
  *                                      should be updated or not
+ *   * {boolean} shouldCheckCanLeave - indicates whether the leave guards of
+ *                                     the current screen should be consulted
+ *                                     or not
+ *   * {boolean} replace - indicates whether the screen should replace the
+ *                         current one, i.e. the current entry of the browser
+ *                         history (Browser mode), or the top of the nav stack
+ *                         (App mode)
+ *   * {string} navStack - the name of the nav stack to push the screen onto,
+ *                         which overrides the one registered for the screen
+ *                         (App mode)
+ *   * {boolean} reload - indicates whether the screen should be re-entered
+ *                        even if it is the current one with the same data
  *   * {object} screenData - an object containing any data that is essential
  *                           to render the screen
+ *   * {object} query - the query params for the screen's URL (Browser mode)
+ *   * {string} hash - the hash fragment for the screen's URL (Browser mode)
+ *   * {string} direction - the direction of the transition, i.e. 'forward',
+ *                          'back', 'replace' or 'reset'; it is set for Back,
+ *                          Forward and nav stack resets, and otherwise
+ *                          defaults to 'replace' or 'forward' based on
+ *                          'replace'
+ *
+ * The transition does not happen if a leave guard of the current screen
+ * vetoes it. The leave guards, the global 'beforeScreens' function and the
+ * screen's 'before' function may return a Promise, in which case the
+ * transition is committed once it resolves. If another navigation starts in
+ * the meantime, this one is cancelled and never lands.
  * @param {string} name - the name of the screen
  * @param {object} [options] - other screen properties
+ * @returns {Promise<boolean>} - resolves to TRUE once the transition is
+ *                               committed, or FALSE if it did not happen
  */
 export const toScreen = (name, options) => {
-  // Check the name first.
-  check(name, Pattern.nonEmptyString);
+  /*
+   * Validate the name and the options. A failure is reported and returned as
+   * a rejection, like any other failed navigation.
+   */
+  let screen;
+  try {
+    // Check the name first.
+    check(name, Pattern.nonEmptyString);
 
-  // If we are already on that screen, return.
-  if (currentScreen.get() === name) {
-    return false;
-  }
+    // Get the screen object.
+    screen = _.findWhere(screens, { name: name });
 
-  // Get the screen object.
-  const screen = _.findWhere(screens, { name: name });
+    // If the screen does not exist, throw an error.
+    if (!screen) {
+      throw new Error(`A screen named ${name} has not been registered.`);
+    }
 
-  // If the screen exists,
-  if (screen) {
     // Check the optional options ;-).
     if (options) {
       check(options, {
         shouldUpdateBrowserHistory: Match.Optional(Boolean),
         shouldUpdateNavStack: Match.Optional(Boolean),
-        screenData: Match.Optional(Object)
+        shouldCheckCanLeave: Match.Optional(Boolean),
+        replace: Match.Optional(Boolean),
+        navStack: Match.Optional(Pattern.nonEmptyString),
+        reload: Match.Optional(Boolean),
+        screenData: Match.Optional(Object),
+        query: Match.Optional(Object),
+        hash: Match.Optional(String),
+        direction: Match.Optional(
+          Match.OneOf('forward', 'back', 'replace', 'reset')
+        )
       });
     }
+  } catch (error) {
+    reportNavigationError(error, { screenName: name });
+    return Promise.reject(error);
+  }
 
-    /*
-     * Clear all reactive variables for content helper-template mappings from
-     * the previous screen, so that they do not persist if they are not
-     * re-mapped in the upcoming screen transition.
-     */
-    _.each(config.contentHelpers, (helper) => {
-      reactive.set(helper, null);
-    });
-
-    // Clear any screen data from the previous screen.
-    screenData.set({});
+  /*
+   * This navigation supersedes any that is still pending, even if it turns
+   * out that we are already on the screen.
+   */
+  const navigationId = startNavigation();
 
-    // Run any global 'before' function.
-    if (config.beforeScreens) {
-      config.beforeScreens();
+  /*
+   * If we are already on that screen, with the same data, query params and
+   * hash, return, unless a reload is requested. Going to the same screen with
+   * different data re-enters it.
+   */
+  const isReentry = currentScreen.get() === name;
+  if (isReentry && !(options && options.reload)) {
+    const currentData = screen.presentation === 'modal' ?
+      modalData.get() : screenData.get();
+    const isSameState =
+      _.isEqual(currentData, (options && options.screenData) || {}) &&
+      _.isEqual(queryParams.get(), (options && options.query) || {}) &&
+      hashFragment.get() === ((options && options.hash) || '');
+    if (isSameState) {
+      return Promise.resolve(false);
     }
+  }
+
+  /*
+   * The screen data, query params and hash of the screen. They are only set
+   * when the transition is committed, so the screen that is still displayed
+   * keeps its own while the guards are pending, or if the navigation is
+   * cancelled.
+   */
+  const nextScreenData = (options && options.screenData) || {};
+  const nextQuery = (options && options.query) || {};
+  const nextHash = (options && options.hash) || '';
 
-    // Set any screen data for this (soon to be current) screen.
-    if (options && options.screenData) {
-      screenData.set(options.screenData);
+  /*
+   * A modal screen is presented above the current screen, which stays
+   * rendered. Returning to the screen underneath a modal screen dismisses it.
+   */
+  const isModal = screen.presentation === 'modal';
+  const isDismissal = !isModal && Boolean(underlyingScreen) &&
+    underlyingScreen.name === name &&
+    _.isEqual(
+      underlyingScreen.screenData || {},
+      (options && options.screenData) || {}
+    );
+
+  /**
+   * Commit the transition to the screen, i.e. render its templates and
+   * update the current screen, the browser history and the nav stack.
+   * @returns {boolean}
+   */
+  const commitTransition = () => {
+    // Start the transition, and remember the templates that are outgoing.
+    let direction = options && options.direction;
+    if (!direction) {
+      direction = options && options.replace ? 'replace' : 'forward';
     }
 
-    // Run any screen-specific 'before' function.
-    if (screen.before) {
-      screen.before();
+    const transition = {
+      from: Tracker.nonreactive(() => currentScreen.get()),
+      to: name,
+      direction: direction
+    };
+    latestTransitionId += 1;
+    const transitionId = latestTransitionId;
+    const previousTemplates = Tracker.nonreactive(() =>
+      _.map(config.contentHelpers, helper => reactive.get(helper)));
+
+    transitionDirectionVar.set(direction);
+    const animation = config.onTransitionStart ?
+      config.onTransitionStart(transition) : undefined;
+
+    if (isModal) {
+      // Remember the screen underneath, unless a modal is already presented.
+      if (!underlyingScreen) {
+        underlyingScreen = Tracker.nonreactive(() => ({
+          name: currentScreen.get(),
+          screenData: screenData.get(),
+          query: queryParams.get(),
+          hash: hashFragment.get()
+        }));
+      }
+
+      // Clear the overlay of any modal screen that was presented before.
+      reactive.set(config.overlayContentHelper, null);
+
+      // A modal screen's data is kept apart from that of the screen beneath.
+      modalData.set(nextScreenData);
+    } else if (isDismissal) {
+      // Clear the overlay, which reveals the screen underneath.
+      reactive.set(config.overlayContentHelper, null);
+      modalData.set({});
+      underlyingScreen = null;
+    } else {
+      /*
+       * Clear all reactive variables for content helper-template mappings
+       * from the previous screen, so that they do not persist if they are not
+       * re-mapped in the upcoming screen transition.
+       */
+      _.each(config.contentHelpers, (helper) => {
+        reactive.set(helper, null);
+      });
+
+      // The content regions belong to the new screen, so reset them.
+      resetRegions();
+
+      // Set the screen data, query params and hash for this screen.
+      screenData.set(nextScreenData);
+      queryParams.set(nextQuery);
+      hashFragment.set(nextHash);
+
+      // Any modal screen was dismissed along with the screen underneath.
+      modalData.set({});
+      underlyingScreen = null;
     }
 
     /*
      * "Go" to the screen, by setting the value of the reactive variable for
      * each content helper. The value of the reactive variable is the name of
      * the template to be rendered into that helper on the current screen.
-     * This effectively triggers the screen transition.
+     * This effectively triggers the screen transition. When dismissing a
+     * modal screen, the screen underneath is still rendered.
      */
-    if (screen.contentHelperMap && screen.contentHelperMap.length > 0) {
+    const setContentHelpers = () => {
       _.each(screen.contentHelperMap, (helperMapping) => {
         reactive.set(helperMapping.helper, helperMapping.template);
       });
+    };
+
+    if (
+      !isDismissal &&
+      screen.contentHelperMap && screen.contentHelperMap.length > 0
+    ) {
+      if (isReentry) {
+        /*
+         * On re-entry, the templates are the same, so render them again only
+         * after the cleared content helpers have been flushed. This way, they
+         * are re-created with the new data, and their callbacks run again.
+         */
+        Tracker.afterFlush(() => {
+          if (isCurrentNavigation(navigationId)) {
+            setContentHelpers();
+          }
+        });
+      } else {
+        setContentHelpers();
+      }
+    }
+
+    /*
+     * Keep the outgoing templates mounted while the transition is animated,
+     * i.e. those that the screen does not render again.
+     */
+    if (config.keepOutgoingTemplates) {
+      outgoingTemplates.clear();
+      if (!isReentry) {
+        _.each(config.contentHelpers, (helper, index) => {
+          const template = previousTemplates[index];
+          const incoming = Tracker.nonreactive(() => reactive.get(helper));
+          if (template && template !== incoming) {
+            outgoingTemplates.set(helper, template);
+          }
+        });
+      }
     }
 
+    // End the transition once it is rendered (and animated).
+    endTransition(transition, transitionId, animation);
+
     // Track the name of the current screen in a reactive variable.
     currentScreen.set(name);
 
+    /*
+     * Leaving the login screen abandons any pending return to the screen
+     * that required login. A modal screen above it does not leave it.
+     */
+    if (!isModal && name !== config.loginScreen) {
+      cancelLoginRedirect();
+    }
+
     // Assign a shouldUpdateBrowserHistory variable.
     const shouldUpdateBrowserHistoryOption =
       options && options.shouldUpdateBrowserHistory;
@@ -213,14 +791,20 @@ export const toScreen = (name, options) => {
       shouldUpdateBrowserHistory = true;
     }
 
-    // Update the browser history, unless it's explicitly prevented.
+    /*
+     * Update the browser history, unless it's explicitly prevented. A modal
+     * screen has its own URL, based on its own data.
+     */
     if (shouldUpdateBrowserHistory) {
       updateBrowserHistory(
         name,
         screen.path,
         screen.pathMask,
         screen.generatePath,
-        screenData.get()
+        isModal ? modalData.get() : screenData.get(),
+        isModal ? (options && options.query) : queryParams.get(),
+        isModal ? (options && options.hash) : hashFragment.get(),
+        Boolean(options && options.replace)
       );
     }
 
@@ -236,33 +820,112 @@ export const toScreen = (name, options) => {
 
     // Update the navigation stack, unless it's explicitly prevented.
     if (shouldUpdateNavStack) {
-      updateNavStack(name, screen.title, screenData.get());
+      updateNavStack(
+        name,
+        screen.title,
+        isModal ? modalData.get() : screenData.get(),
+        Boolean(options && options.replace),
+        (options && options.navStack) || screen.navStack
+      );
     }
-  } else {
-    throw new Error(`A screen named ${name} has not been registered.`);
-  }
 
-  return true;
-};
+    // Update the current route, all at once.
+    Tracker.nonreactive(() => {
+      const routeScreenData = isModal ? modalData.get() : screenData.get();
+      const params = routeScreenData.params || {};
+      const previousRoute = currentRouteVar.get();
+      currentRouteVar.set({
+        name: name,
+        path: getRoutePath(screen, params),
+        params: params,
+        query: isModal ?
+          (options && options.query) || {} : queryParams.get(),
+        hash: isModal ? (options && options.hash) || '' : hashFragment.get(),
+        screenData: routeScreenData,
+        previous: previousRoute ? previousRoute.name : null,
+        direction: direction
+      });
+    });
 
-/**
- * Register a 'data-navlink' attribute to enable HTML 'pseudo-links' to a
- * screen from any element with that attribute. This is meant for app mode but
- * works in all modes.
- * @param {string} name - the name of the screen
- */
-const registerNavLink = (name) => {
-  const eventMap = {};
-  const eventKey =
-          `click [data-navlink=
-          to-${name.replace(/\s+/g, '-').toLowerCase()}]`;
-  eventMap[eventKey] = (event) => {
-    event.preventDefault();
-    toScreen(name);
+    /*
+     * Restore the scroll positions of the screen, or scroll it to the top. A
+     * modal screen leaves the scroll positions of the screen underneath.
+     */
+    if (!isModal && !isDismissal) {
+      restoreScroll(direction, Tracker.nonreactive(() => hashFragment.get()));
+    }
+
+    return true;
   };
 
-  // Register this event handler with the body template.
-  Template.body.events(eventMap);
+  /**
+   * Enter the screen, i.e. run the 'before' functions, then commit the
+   * transition.
+   * @returns {boolean|Promise<boolean>}
+   */
+  const enterScreen = () => {
+    if (isDismissal) {
+      // The screen underneath is already entered, so just reveal it.
+      return commitTransition();
+    }
+
+    // Run any global 'before' function, and wait for it if it's async.
+    const beforeScreensResult = config.beforeScreens ?
+      config.beforeScreens() : undefined;
+
+    return whenSettled(beforeScreensResult, () => {
+      // Stop here if a newer navigation has started.
+      if (!isCurrentNavigation(navigationId)) {
+        return false;
+      }
+
+      /*
+       * Run any screen-specific 'before' function, which receives the screen
+       * data of this (soon to be current) screen, and wait for it as well.
+       */
+      const beforeResult = screen.before ?
+        screen.before(nextScreenData) : undefined;
+
+      return whenSettled(beforeResult, () => {
+        // Commit the transition, unless a newer navigation has started.
+        if (!isCurrentNavigation(navigationId)) {
+          return false;
+        }
+
+        return commitTransition();
+      });
+    });
+  };
+
+  try {
+    // Assign a shouldCheckCanLeave variable.
+    const shouldCheckCanLeaveOption = options && options.shouldCheckCanLeave;
+    let shouldCheckCanLeave;
+    if (!_.isUndefined(shouldCheckCanLeaveOption)) {
+      shouldCheckCanLeave = shouldCheckCanLeaveOption;
+    } else {
+      shouldCheckCanLeave = true;
+    }
+
+    // Consult the leave guards of the current screen, unless it's prevented.
+    const canLeave = shouldCheckCanLeave ? canLeaveCurrentScreen(name) : true;
+
+    return Promise.resolve(whenSettled(canLeave, (isLeaveAllowed) => {
+      // Stop here if leaving was vetoed, or a newer navigation has started.
+      if (!isLeaveAllowed || !isCurrentNavigation(navigationId)) {
+        return false;
+      }
+
+      return enterScreen();
+    })).catch((error) => {
+      // Report the failed navigation, and pass the error on.
+      reportNavigationError(error, { screenName: name });
+      throw error;
+    });
+  } catch (error) {
+    reportNavigationError(error, { screenName: name });
+    return Promise.reject(error);
+  }
 };
 
 /**
@@ -271,6 +934,28 @@ const registerNavLink = (name) => {
  */
 export const getScreen = name => _.findWhere(screens, { name: name });
 
+/**
+ * Add a path pattern object to the path lookup array, keeping the array sorted
+ * by the specificity of the path or path mask from which the pattern derives.
+ * Patterns that are equally specific keep their registration order.
+ * @param {object} registeredPath - the path pattern object, with the 'name',
+ *                                  'pathPattern', 'paramNames' and optionally
+ *                                  'isAlias' keys
+ * @param {string} mask - the path or path mask of the pattern
+ * @param {boolean} isLiteral - TRUE if the mask is a literal path
+ */
+const addToPathLookup = (registeredPath, mask, isLiteral) => {
+  pathLookup.push(_.extend(registeredPath, {
+    mask: mask,
+    isLiteral: isLiteral,
+    rank: getPathRank(mask, isLiteral),
+    order: pathLookup.length
+  }));
+
+  pathLookup.sort((pathA, pathB) =>
+    comparePathRanks(pathA.rank, pathB.rank) || (pathA.order - pathB.order));
+};
+
 /**
  * Register a screen.
  * The 'screen' object has the following properties assumed by the package:
@@ -281,24 +966,48 @@ export const getScreen = name => _.findWhere(screens, { name: name });
  *   * title {string|function} - the title on the browser tab (required)
  *   * path {string} - the relative path associated with the screen (when URLs
  *     are supported).
- *   * pathMask {string} - the mask for the relative path associated with the
- *     screen (when URLs are supported). The mask defines the location of
- *     parameters.
+ *   * pathMask {string} - the Express-style mask for the relative path
+ *     associated with the screen (when URLs are supported), e.g.
+ *     '/projects/:projectId/tasks/:taskId?'. The mask defines the location of
+ *     parameters, and is compiled into a path pattern and a generatePath
+ *     function, unless those are provided explicitly.
+ *   * aliases {[string]} - other paths or path masks (e.g. old URLs) that load
+ *     this screen. When an alias is matched, the browser history entry is
+ *     replaced with the screen's own path. The params of an alias path mask
+ *     are named, and must be those of the screen's path mask.
  *   * pathPattern {RegExp} - the RegExp pattern that only this path or path
- *     mask will match (when URLs are supported).
+ *     mask will match (when URLs are supported). It overrides the pattern
+ *     compiled from the path or path mask.
  *   * generatePath {function} - a function to generate a path based on the
- *     path mask and screen data.
+ *     path mask and screen data. It overrides the function compiled from the
+ *     path mask.
  *   * getDataFromParams {function} - a function to generate screen data based
- *     on the parameters extracted from a path.
+ *     on the parameters extracted from a path. For a compiled path mask, it
+ *     receives an object of named params; for an explicit path pattern, it
+ *     receives the raw result of 'exec'. It defaults to a function that sets
+ *     the screen data to { params }.
  *   * isAllowed {boolean|function} - TRUE for screens that are public. For
  *     screens that are not public, it is a function that computes to
  *     TRUE for users allowed to access it, and false for everyone else.
  *   * before {function} - a function to run before this screen is rendered;
  *     this function will run after any function stored in
- *     'beforeScreens'
+ *     'beforeScreens'. It receives the screen data of this screen, since
+ *     'screenData' is only updated once the transition is committed.
  *   * after {function} - a function to run after this screen is rendered;
  *     this function will run before any function stored in
  *     'onRenderScreens'
+ *   * presentation {string} - 'modal' for a screen that is presented above the
+ *     current screen, which stays rendered underneath it. It maps a single
+ *     template, which is rendered into the overlay content helper whatever
+ *     helper it names, its data is available in 'modalData', and it is
+ *     dismissed on Back. It defaults to 'screen'.
+ *   * navStack {string} - the name of the nav stack that this screen belongs
+ *     to in App mode, e.g. the tab of a tab bar; going to this screen makes
+ *     that nav stack the active one. It defaults to the active nav stack.
+ *   * canLeave {function} - a function to run before leaving this screen; it
+ *     receives the name of the target screen (null when the page is being
+ *     unloaded), and returns FALSE (or a Promise of FALSE) to veto leaving.
+ *     This function will run after any function stored in 'canLeaveScreens'
  *
  * The 'title', and 'isAllowed' properties require the input
  * of the type indicated, or a function that returns the required type.
@@ -308,8 +1017,11 @@ export const getScreen = name => _.findWhere(screens, { name: name });
  * properties.
  * @param {string} name - the name of the screen
  * @param {object} options - other screen properties and their values
+ * @param {boolean} [withoutNavLink] - TRUE to register the screen without a
+ *                                     navlink, e.g. for the system screens,
+ *                                     whose navlinks may be taken by the app
  */
-export const registerScreen = (name, options) => {
+export const registerScreen = (name, options, withoutNavLink) => {
   // Throw an error if no options are provided.
   if (!options) {
     throw new Error('Screen registration requires a minimal set of options');
@@ -317,6 +1029,7 @@ export const registerScreen = (name, options) => {
 
   // Check the options.
   check(name, Pattern.nonEmptyString);
+  check(withoutNavLink, Match.Optional(Boolean));
   check(options, Match.ObjectIncluding({
     contentHelperMap: [Object],
     title: Pattern.nonEmptyStringOrFunction
@@ -324,25 +1037,17 @@ export const registerScreen = (name, options) => {
   check(options.path, Match.Optional(Pattern.nonEmptyString));
   check(options.pathMask, Match.Optional(Pattern.nonEmptyString));
   check(options.pathPattern, Match.Optional(Pattern.regExp));
+  check(options.aliases, Match.Optional([Pattern.nonEmptyString]));
   check(options.generatePath, Match.Optional(Pattern.function));
   check(options.getDataFromParams, Match.Optional(Pattern.function));
   check(options.isAllowed, Match.Optional(Pattern.booleanOrFunction));
   check(options.before, Match.Optional(Pattern.function));
+  check(options.canLeave, Match.Optional(Pattern.function));
+  check(options.navStack, Match.Optional(Pattern.nonEmptyString));
+  check(options.presentation, Match.Optional(Match.OneOf('screen', 'modal')));
 
-  // Check that all path-related options are provided.
-  if (options.path && !options.pathPattern) {
-    // This screen is missing the required path pattern.
-    throw new Error(
-      `The path pattern was not provided for path ${options.path}`
-    );
-  }
-  if (options.pathMask && !options.pathPattern) {
-    // This screen is missing the required path pattern.
-    throw new Error(
-      `The path pattern was not provided for path mask ${options.pathMask}`
-    );
-  }
-  if (options.pathMask && !options.generatePath) {
+  // Check that the path-related options that cannot be compiled are provided.
+  if (options.pathMask && options.pathPattern && !options.generatePath) {
     // This screen is missing the required function to generate the path.
     throw new Error(
       `The generatePath function was not provided for path mask
@@ -350,10 +1055,12 @@ export const registerScreen = (name, options) => {
     );
   }
 
-  if (options.pathMask && !options.getDataFromParams) {
+  if (
+    options.pathMask && options.pathPattern && !options.getDataFromParams
+  ) {
     /*
      * This screen is missing the required function to get screen data from
-      * path parameters.
+     * path parameters.
      */
     throw new Error(
       `The getDataFromParams function was not provided for path mask
@@ -361,6 +1068,19 @@ export const registerScreen = (name, options) => {
     );
   }
 
+  /*
+   * A modal screen renders its template into the overlay content helper, so
+   * that the content helpers of the screen underneath are left alone.
+   */
+  if (
+    options.presentation === 'modal' && options.contentHelperMap.length !== 1
+  ) {
+    throw new Error(
+      `The modal screen ${name} must map a single template, which is rendered
+       into the overlay content helper`
+    );
+  }
+
   // If the screen is not already registered, then register it.
   if (!getScreen(name)) {
     // Initialize a screen object.
@@ -374,28 +1094,144 @@ export const registerScreen = (name, options) => {
     // Assign the other screen properties provided in the options.
     screen = _.extend(screen, options);
 
+    // Map the template of a modal screen to the overlay content helper.
+    if (screen.presentation === 'modal') {
+      screen.contentHelperMap = [{
+        helper: config.overlayContentHelper,
+        template: options.contentHelperMap[0].template
+      }];
+    }
+
+    // Compile the path or path mask, unless a path pattern was provided.
+    if (options.pathMask && !options.pathPattern) {
+      const compiledMask = compilePathMask(options.pathMask);
+      screen.pathPattern = compiledMask.pathPattern;
+      screen.paramNames = compiledMask.paramNames;
+      screen.generatePath = options.generatePath || generatePathFromMask;
+      screen.getDataFromParams = options.getDataFromParams ||
+        ((params, callback) => callback({ params: params }));
+    } else if (options.path && !options.pathPattern) {
+      screen.pathPattern = compilePath(options.path);
+    }
+
+    // Compile the alias paths of the screen.
+    const compiledAliases = _.map(options.aliases, alias =>
+      _.extend({ alias: alias }, compilePathMask(alias)));
+
+    /*
+     * Register the convenience 'data-navlink' attribute for this screen,
+     * which throws an error if another screen has the same one. This is done
+     * once the paths have compiled, so that a screen that fails to register
+     * does not keep its navlink.
+     */
+    if (!withoutNavLink) {
+      registerNavLink(name);
+    }
+
     // Add this screen object to the 'screens' array.
     screens.push(screen);
 
     // Add the path pattern object to the path lookup array.
     if (options.path || options.pathMask) {
-      pathLookup.push({
-        name: name,
-        pathPattern: options.pathPattern
-      });
+      addToPathLookup(
+        {
+          name: name,
+          pathPattern: screen.pathPattern,
+          paramNames: screen.paramNames
+        },
+        options.path || options.pathMask,
+        Boolean(options.path)
+      );
     }
 
-    /*
-     * Define the event handler for the convenience 'data-navlink' attribute
-     * for this screen.
-     */
-    registerNavLink(name);
+    // Add a path pattern object for each alias path of the screen.
+    _.each(compiledAliases, (compiledAlias) => {
+      addToPathLookup(
+        {
+          name: name,
+          pathPattern: compiledAlias.pathPattern,
+          paramNames: compiledAlias.paramNames,
+          isAlias: true
+        },
+        compiledAlias.alias,
+        false
+      );
+    });
   } else {
     // The screen already exists, so throw an error.
     throw new Error(`A screen named ${name} has already been registered.`);
   }
 };
 
+/**
+ * Register a redirect, i.e. a path (or path mask, or RegExp pattern) that
+ * sends the user elsewhere when it is loaded. Redirects are matched before
+ * screens, and replace the browser history entry, so the old URL does not
+ * stay in the history. The target is one of:
+ *   * a path, e.g. '/new-path', possibly with a query string and hash
+ *   * a screen spec, i.e. an object with the 'name' of a screen, and
+ *     optionally 'screenData', 'query' and 'hash'. If it has no screen data,
+ *     the params matched by a path mask are used to generate the path of the
+ *     screen. The params matched by a RegExp pattern are not named, so a
+ *     screen spec for a RegExp pattern requires 'screenData'.
+ *   * a function that receives the params and the query params, and returns
+ *     one of the above, or null to not redirect (e.g. only redirect '/' to a
+ *     dashboard for logged-in users)
+ * @param {string|RegExp} from - the path, path mask, or RegExp pattern
+ * @param {string|object|function} to - the target of the redirect
+ */
+export const registerRedirect = (from, to) => {
+  check(from, Match.OneOf(Pattern.nonEmptyString, Pattern.regExp));
+  check(to, Match.OneOf(
+    Pattern.nonEmptyString,
+    Pattern.function,
+    Match.ObjectIncluding({ name: Pattern.nonEmptyString })
+  ));
+  if (_.isRegExp(from) && _.isObject(to) && !_.isFunction(to)) {
+    check(to, Match.ObjectIncluding({ screenData: Object }));
+  }
+
+  if (_.isString(from)) {
+    const compiledMask = compilePathMask(from);
+    redirects.push({
+      pathPattern: compiledMask.pathPattern,
+      paramNames: compiledMask.paramNames,
+      to: to
+    });
+  } else {
+    redirects.push({ pathPattern: from, to: to });
+  }
+};
+
+/**
+ * Register the system screens, i.e. 'Not Found', 'Access Denied' and 'Error',
+ * using the configured templates. A system screen is not registered if the
+ * app has registered its own screen with the same name, or if its template
+ * does not exist. The system screens receive the attempted path and the
+ * reason in their screen data. They have no navlinks, so they cannot collide
+ * with those of the app's screens.
+ */
+const registerSystemScreens = () => {
+  _.each(
+    [
+      { name: notFoundScreen, template: config.notFoundTemplate },
+      { name: accessDeniedScreen, template: config.accessDeniedTemplate },
+      { name: errorScreen, template: config.errorTemplate }
+    ],
+    (systemScreen) => {
+      if (!getScreen(systemScreen.name) && Template[systemScreen.template]) {
+        registerScreen(systemScreen.name, {
+          contentHelperMap: [{
+            helper: config.contentHelpers[0],
+            template: systemScreen.template
+          }],
+          title: systemScreen.name
+        }, true);
+      }
+    }
+  );
+};
+
 /**
  * Register the content helpers for each content block. Each helper will render
  * the corresponding content template (if any) assigned to it by the current
@@ -406,6 +1242,12 @@ const registerContentHelpers = (contentHelpers) => {
   _.each(contentHelpers, (contentHelper) => {
     Template.registerHelper(contentHelper, () =>
       Template[reactive.get(contentHelper)] || null);
+
+    // The helper for the outgoing template, if it's kept during transitions.
+    if (config.keepOutgoingTemplates) {
+      Template.registerHelper(`${contentHelper}Outgoing`, () =>
+        Template[outgoingTemplates.get(contentHelper)] || null);
+    }
   });
 };
 
@@ -453,13 +1295,15 @@ const registerTemplateCallbacks = (onRenderScreens, onDestroyScreens) => {
 
 /**
  * Start a navigation session, i.e. start navigation in one of the following
- * modes:
+ * modes, which is detected unless the 'inAppModeOnIos'/'inAppModeOnAndroid'
+ * options are provided:
  *   * app mode
- *       * in native mode on iOS and Android
+ *       * in native mode on iOS and Android (Cordova)
+ *       * in an installed web app that is displayed standalone
  *       * on iOS in standalone mode (i.e saved to Home screen on device)
- *       * on Android (both browser and Home screen app)
  *   * browser mode
  *       * on everything else
+ * The mode is re-evaluated when the display mode changes.
  * @param {object} [options] - options provided by the package user
  */
 export const run = (options) => {
@@ -469,18 +1313,50 @@ export const run = (options) => {
 
   // Check the config options.
   check(options.contentHelpers, Match.Optional([String]));
+  check(options.overlayContentHelper, Match.Optional(String));
   check(options.supportUrls, Match.Optional(Boolean));
   check(options.ignoreTrailingSlash, Match.Optional(Boolean));
   check(options.useBrowserBackAndForward, Match.Optional(Boolean));
+  check(options.basePath, Match.Optional(Match.Where(
+    val => Match.test(val, String) && (val === '' || val.charAt(0) === '/')
+  )));
+  check(options.historyMode, Match.Optional(Match.OneOf('path', 'hash')));
+  check(options.interceptLinks, Match.Optional(Boolean));
   check(options.inAppModeOnIos, Match.Optional(Boolean));
   check(options.inAppModeOnAndroid, Match.Optional(Boolean));
+  check(
+    options.navStackStorage,
+    Match.Optional(Match.OneOf(null, 'localStorage', 'sessionStorage'))
+  );
+  check(options.navStackVersion, Match.Optional(String));
+  check(options.appModeDeepLinks, Match.Optional(Boolean));
   check(options.appModePublicHome, Match.Optional(String));
   check(options.appModeUserHome, Match.Optional(String));
   check(options.notFoundTemplate, Match.Optional(String));
   check(options.accessDeniedTemplate, Match.Optional(String));
+  check(options.errorTemplate, Match.Optional(String));
+  check(options.onNavigationError, Match.Optional(Pattern.function));
+  check(options.loginScreen, Match.Optional(String));
   check(options.beforeScreens, Match.Optional(Pattern.function));
   check(options.onRenderScreens, Match.Optional(Pattern.function));
   check(options.onDestroyScreens, Match.Optional(Pattern.function));
+  check(options.onTransitionStart, Match.Optional(Pattern.function));
+  check(options.onTransitionEnd, Match.Optional(Pattern.function));
+  check(options.keepOutgoingTemplates, Match.Optional(Boolean));
+  check(options.restoreScroll, Match.Optional(Boolean));
+  check(options.scrollContainers, Match.Optional(Object));
+  _.each(options.scrollContainers, (selector) => {
+    check(selector, Pattern.nonEmptyString);
+  });
+  check(options.canLeaveScreens, Match.Optional(Pattern.function));
+  check(options.loadingTemplate, Match.Optional(String));
+  check(options.conditionTimeouts, Match.Optional(Object));
+  _.each(options.conditionTimeouts, (timeoutConfig) => {
+    check(timeoutConfig, {
+      timeout: Match.Where(val => Match.test(val, Number) && val > 0),
+      onTimeout: Match.Optional(Pattern.nonEmptyStringOrFunction)
+    });
+  });
   check(options.conditionsToWaitFor, Match.Optional(Object));
   if (options.conditionsToWaitFor) {
     check(options.conditionsToWaitFor.okToLoad, Match.Optional(Array));
@@ -496,12 +1372,54 @@ export const run = (options) => {
   // Update the config.
   setConfig(options);
 
-  // Register the content helpers.
+  // Set the mode, and remember the Browser mode config, in case it changes.
+  initMode(options);
+  const browserModeConfig =
+    _.pick(config, 'supportUrls', 'useBrowserBackAndForward');
+
+  // The overlay content helper for modal screens is a content helper too.
+  if (!_.contains(config.contentHelpers, config.overlayContentHelper)) {
+    config.contentHelpers = config.contentHelpers.concat(
+      config.overlayContentHelper
+    );
+  }
+
+  // Map the modal screens registered so far to the configured overlay helper.
+  _.each(_.where(screens, { presentation: 'modal' }), (screen) => {
+    screen.contentHelperMap[0].helper = config.overlayContentHelper;
+  });
+
+  // Register the content helpers, and the helpers for links.
   registerContentHelpers(config.contentHelpers);
+  registerLinkHelpers();
+
+  // Register the system screens, before their template callbacks.
+  registerSystemScreens();
 
   // Register screen template callbacks.
   registerTemplateCallbacks(options.onRenderScreens, options.onDestroyScreens);
 
+  // In development, warn about ambiguous or broken paths.
+  if (Meteor.isDevelopment) {
+    warnAboutRouteProblems();
+  }
+
+  // Consult the leave guards when the page is about to be unloaded.
+  handleBeforeUnload();
+
+  // Take over scroll restoration from the browser.
+  initScrollRestoration();
+
+  /*
+   * Respond to clicks on elements with a 'data-navlink' attribute, and go to
+   * the screens of clicked links without a page load. The former come first,
+   * so that a link with a 'data-navlink' attribute is handled once.
+   */
+  handleNavLinkClicks();
+  if (config.interceptLinks) {
+    handleLinkClicks();
+  }
+
   // Branch based on mode.
   if (inAppMode()) {
     /*
@@ -512,29 +1430,115 @@ export const run = (options) => {
     config.supportUrls = false;
     config.useBrowserBackAndForward = false;
 
-    // Run in App Mode and (eventually) load the App Mode start screen.
-    startAppMode(config.appModePublicHome, config.appModeUserHome);
+    /*
+     * Run in App Mode and (eventually) load the App Mode start screen, or the
+     * screen of the deep link that the app was launched with.
+     */
+    const launchRoute = getCurrentRoute();
+    startAppMode(
+      config.appModePublicHome,
+      config.appModeUserHome,
+      config.appModeDeepLinks && launchRoute.path !== '/' ?
+        launchRoute : undefined
+    );
   } else {
     /*
      * We're in browser mode (on any device), so respond to Back and Forward
-     * buttons.
+     * buttons, and to routes entered directly in location.hash.
      */
-    if (config.useBrowserBackAndForward) {
-      handleBrowserBackAndForward();
-    }
+    listenForBrowserNavigation();
 
     /*
      * Run in browser mode and (eventually) load the screen that corresponds
      * to the URL (path) entered directly in the browser, or indirectly via a
      * browser reload.
      */
-    startBrowserMode(window.location.pathname);
+    const route = getCurrentRoute();
+    startBrowserMode(route.path, route.search, route.hash);
+  }
+
+  /*
+   * Switch modes at the current screen when the display mode changes, e.g.
+   * when the window of an installed web app pops out to the browser.
+   */
+  watchDisplayMode((newMode) => {
+    if (newMode === appMode) {
+      config.supportUrls = false;
+      config.useBrowserBackAndForward = false;
+      resumeInAppMode();
+    } else {
+      _.extend(config, browserModeConfig);
+      resumeInBrowserMode();
+    }
+  });
+};
+
+/**
+ * Get a description of each condition function of an identified condition
+ * that is still not TRUE, for diagnostics. A function is described by its
+ * name, if it has one, and its index in the array.
+ * @param {string} condition - a conditionId (e.g. okToLoad)
+ * @returns {[string]}
+ */
+const getPendingConditions = condition =>
+  _.compact(_.map(
+    config.conditionsToWaitFor[condition],
+    (conditionFunc, index) => {
+      const value = conditionFunc();
+      if ((value === false) || _.isUndefined(value)) {
+        return `${conditionFunc.name || 'anonymous'} (#${index})`;
+      }
+
+      return null;
+    }
+  ));
+
+/**
+ * Handle the timeout of a condition, i.e. report it, then run the configured
+ * 'onTimeout' fallback. The fallback is a function, which receives the
+ * timeout error and details, or the name of a screen to go to. By default,
+ * the 'Error' system screen is shown, if it is registered.
+ * @param {string} condition - a conditionId (e.g. okToLoad)
+ * @param {object} timeoutConfig - the timeout config of the condition
+ */
+const handleConditionTimeout = (condition, timeoutConfig) => {
+  const pendingConditions = getPendingConditions(condition);
+  const error = new Error(
+    `The condition ${condition} timed out after ${timeoutConfig.timeout} ms.` +
+    ` Still pending: ${pendingConditions.join(', ') || 'none'}`
+  );
+  const details = {
+    condition: condition,
+    pendingConditions: pendingConditions
+  };
+  reportNavigationError(error, details);
+
+  const onTimeout = timeoutConfig.onTimeout;
+  if (_.isFunction(onTimeout)) {
+    onTimeout(error, details);
+  } else if (onTimeout) {
+    toScreen(onTimeout).catch(ignoreReportedError);
+  } else if (getScreen(errorScreen)) {
+    // Keep the URL, so that a reload tries again.
+    navigationError.set(_.extend({ error: error }, details));
+    toScreen(errorScreen, {
+      screenData: _.extend({
+        reason: 'timeout',
+        errorMessage: error.message
+      }, details),
+      shouldUpdateBrowserHistory: false
+    }).catch(ignoreReportedError);
   }
 };
 
 /**
  * Wait for a condition to be TRUE before running a function. This is used to
  * ensure that data is there before calling a function that needs that data.
+ * While the condition is pending, the configured loading template (if any) is
+ * rendered into the first content helper. If a timeout is configured for an
+ * identified condition, and the condition is still pending when it expires,
+ * the function does not run; the condition's 'onTimeout' fallback runs
+ * instead.
  * @param {string|function} condition - a conditionId (e.g. okToLoad),
  *                                      function name, or a function
  *                                      definition
@@ -543,6 +1547,9 @@ export const run = (options) => {
  */
 export const waitForCondition = (condition, func, context) => {
   let conditionSatisfied;
+  let timeoutHandle = null;
+  let isShowingLoading = false;
+  let previousTemplate = null;
 
   /**
    * Retrieves the array of condition functions associated with an identified
@@ -558,6 +1565,36 @@ export const waitForCondition = (condition, func, context) => {
       )
     );
 
+  /**
+   * Render the loading template into the first content helper, remembering
+   * the template it replaces.
+   */
+  const showLoading = () => {
+    const helper = config.contentHelpers[0];
+    if (config.loadingTemplate && helper && !isShowingLoading) {
+      isShowingLoading = true;
+      previousTemplate = Tracker.nonreactive(() => reactive.get(helper));
+      reactive.set(helper, config.loadingTemplate);
+    }
+  };
+
+  /**
+   * Restore the template that the loading template replaced, unless the
+   * content helper has been re-mapped meanwhile.
+   */
+  const hideLoading = () => {
+    const helper = config.contentHelpers[0];
+    if (isShowingLoading) {
+      isShowingLoading = false;
+      if (
+        Tracker.nonreactive(() => reactive.get(helper)) ===
+        config.loadingTemplate
+      ) {
+        reactive.set(helper, previousTemplate);
+      }
+    }
+  };
+
   // Check for proper inputs.
   check(condition, Pattern.nonEmptyStringOrFunction);
   check(func, Pattern.function);
@@ -578,12 +1615,17 @@ export const waitForCondition = (condition, func, context) => {
     throw new Error('Invalid condition or unknown condition id was supplied.');
   }
 
-  Tracker.autorun((comp) => {
+  const computation = Tracker.autorun((comp) => {
     if (!conditionSatisfied()) {
-      // Set the 'Computing' state.
+      // Set the 'Computing' state, and show that we are loading.
       isComputing.set(true);
+      showLoading();
     } else {
       isComputing.set(false);
+      hideLoading();
+      if (timeoutHandle) {
+        clearTimeout(timeoutHandle);
+      }
 
       /*
        * Call the function that waits for the condition to be TRUE, passing
@@ -597,6 +1639,33 @@ export const waitForCondition = (condition, func, context) => {
       comp.stop();
     }
   });
+
+  // Start the timeout of an identified condition, if one is configured.
+  const timeoutConfig = _.isString(condition) &&
+    config.conditionTimeouts[condition];
+  if (!computation.stopped && timeoutConfig) {
+    timeoutHandle = setTimeout(() => {
+      if (!computation.stopped) {
+        computation.stop();
+        isComputing.set(false);
+        hideLoading();
+        handleConditionTimeout(condition, timeoutConfig);
+      }
+    }, timeoutConfig.timeout);
+  }
+};
+
+/**
+ * Dismiss the modal screen that is presented, i.e. go back to the screen
+ * underneath it.
+ * @returns {boolean|Promise<boolean>} - FALSE if no modal screen is presented
+ */
+export const dismissModal = () => {
+  if (!underlyingScreen) {
+    return false;
+  }
+
+  return back();
 };
 
 /**
@@ -607,16 +1676,21 @@ export const toHome = () => {
   if (inAppMode()) {
     resetNavStack('Home');
   } else {
-    toScreen('Home');
+    toScreen('Home').catch(ignoreReportedError);
   }
 };
 
 /**
- * Returns the title of the previous screen in app mode only.
+ * Returns the title of the previous screen on the active nav stack, in app
+ * mode only.
  */
 export const getPreviousTitle = () => {
   if (inAppMode()) {
-    // We are in App mode.
+    /*
+     * We are in App mode. Depend on the active nav stack as well, since
+     * switching between nav stacks of equal length changes the title.
+     */
+    activeNavStack.get();
     const stackLength = navStackLength.get();
     if (stackLength > 1) {
       return navStack[stackLength - 2].title;
@@ -631,40 +1705,30 @@ export const getPreviousTitle = () => {
 };
 
 /**
- * Go to the previous screen.
+ * Go back to the previous screen, or back a number of screens. In App mode,
+ * the leave guards of the current screen are consulted first; in Browser
+ * mode, they are consulted by the 'popstate' handler.
+ * @param {number} [steps] - the number of screens to go back (default 1)
+ * @returns {boolean|Promise<boolean>} - TRUE in Browser mode; in App mode,
+ *                                       FALSE at the navigation root, or else
+ *                                       a Promise of whether the transition
+ *                                       happens
  */
-export const back = () => {
+export const back = (steps) => {
+  check(steps, Match.Optional(Match.Where(
+    val => Match.test(val, Match.Integer) && val > 0
+  )));
+  const numberOfSteps = steps || 1;
+
   if (config.supportUrls) {
     // We are in Browser mode. Use the browser history to move back.
-    window.history.back();
+    window.history.go(-numberOfSteps);
     return true;
   }
 
-  // We are in App mode on a mobile device. Use the nav stack to move back.
-  if (navStack.length === 1) {
-    // We are at the navigation root, so we stop.
-    return false;
-  }
-
-  // Remove the current screen at the top of the nav stack.
-  navStack.pop();
-
-  // Set the new length of the nav stack.
-  navStackLength.set(navStack.length);
-
   /*
-   * Go to the screen at the top of the nav stack without updating the nav
-   * stack on this reverse transition. First, initialize the screen options.
+   * We are in App mode on a mobile device. Use the nav stack to move back. At
+   * the navigation root, we stop.
    */
-  let options = { shouldUpdateNavStack: false };
-  const previousScreen = navStack[navStack.length - 1];
-
-  // Add screen data to the options, if necessary.
-  if (previousScreen && previousScreen.screenData) {
-    options = _.extend(options, { screenData: previousScreen.screenData });
-  }
-
-  // Go to the screen.
-  toScreen(previousScreen.name, options);
-  return true;
+  return backInNavStack(numberOfSteps);
 };
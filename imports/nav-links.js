@@ -0,0 +1,302 @@
+/**
+ * @file Defines the functions for links to screens, i.e. real links (<a href>)
+ * and navlinks
+ * @author Derek Gransaull <derek@dgtlife.com>
+ * @copyright DGTLife, LLC 2017
+ */
+import { Template } from 'meteor/templating';
+import { _ } from 'meteor/underscore';
+import { check, Match } from 'meteor/check';
+import Pattern from './pattern.js';
+import {
+  config,
+  toScreen,
+  currentScreen,
+  getScreen,
+  back,
+  ignoreReportedError
+} from './nav-common.js';
+import {
+  getBasePath,
+  buildUrl,
+  getRouteFromUrl,
+  isRegisteredPath,
+  openRoute
+} from './nav-browser.js';
+import { serializeQuery } from './query-string.js';
+
+/**
+ * Get the path of a screen, i.e. its literal path, or the path generated from
+ * its path mask and the params.
+ * @param {object} screen - the screen object
+ * @param {object} [params] - the parameter values of the path mask, keyed by
+ *                            name
+ * @returns {string|null} - the path, or null if the screen has no path
+ */
+export const getPathOfScreen = (screen, params) => {
+  if (screen.path) {
+    return screen.path;
+  }
+
+  if (screen.pathMask && screen.generatePath) {
+    return screen.generatePath(screen.pathMask, params || {});
+  }
+
+  return null;
+};
+
+/**
+ * Get the URL of a screen, e.g. for the 'href' of a link to it, using the
+ * path of the screen, or generating it from the path mask of the screen and
+ * the params.
+ * @param {string} name - the name of the screen
+ * @param {object} [params] - the parameter values of the path mask, keyed by
+ *                            name
+ * @param {object} [query] - the query params to append to the path
+ * @returns {string|null} - the URL, or null if the screen has no path
+ */
+export const pathFor = (name, params, query) => {
+  check(name, Pattern.nonEmptyString);
+  check(params, Match.Optional(Match.OneOf(Object, null)));
+  check(query, Match.Optional(Match.OneOf(Object, null)));
+
+  const screen = getScreen(name);
+  if (!screen) {
+    throw new Error(`A screen named ${name} has not been registered.`);
+  }
+
+  const path = getPathOfScreen(screen, params);
+  if (!path) {
+    // The screen has no path to link to.
+    return null;
+  }
+
+  return buildUrl(`${path}${serializeQuery(query || {})}`);
+};
+
+/**
+ * Whether a screen is the current screen (reactive), e.g. to style the
+ * active item of a nav bar.
+ * @param {string} name - the name of the screen
+ * @returns {boolean}
+ */
+export const isActiveScreen = (name) => {
+  check(name, Pattern.nonEmptyString);
+  return currentScreen.get() === name;
+};
+
+/**
+ * Register the template helpers for links, i.e.
+ *   * pathFor - e.g. {{pathFor 'Task' projectId=project._id taskId=_id}}, or
+ *     {{pathFor 'Search' params query}}; keyword arguments are params
+ *   * isActiveScreen - e.g. {{#if isActiveScreen 'Projects'}}active{{/if}}
+ */
+export const registerLinkHelpers = () => {
+  Template.registerHelper('pathFor', (name, ...args) => {
+    // The last argument is the keyword arguments of the helper.
+    const keywordArgs = args.pop();
+    const params = _.extend(
+      {},
+      args[0],
+      keywordArgs && keywordArgs.hash
+    );
+
+    return pathFor(name, params, args[1]);
+  });
+
+  Template.registerHelper('isActiveScreen', name => isActiveScreen(name));
+};
+
+/**
+ * Find the element, among an element and its ancestors, that satisfies a
+ * predicate, e.g. the link that contains a clicked element.
+ * @param {Node} node - the node to start from
+ * @param {function} predicate - the function that tests an element
+ * @returns {Element|null}
+ */
+const findElement = (node, predicate) => {
+  let element = node;
+  while (element && element.nodeType === 1 && !predicate(element)) {
+    element = element.parentNode;
+  }
+
+  return element && element.nodeType === 1 ? element : null;
+};
+
+/**
+ * Whether an element is a link (<a href>).
+ * @param {Element} element - the element
+ * @returns {boolean}
+ */
+const isLink = element =>
+  element.nodeName === 'A' && element.hasAttribute('href');
+
+// The names of the screens that navlinks go to, keyed by slug.
+const navLinkScreens = {};
+
+/**
+ * Get the slug of a screen name for its navlink, e.g. 'my-screen' for the
+ * screen 'My Screen', i.e. data-navlink="to-my-screen".
+ * @param {string} name - the name of the screen
+ * @returns {string}
+ */
+const getNavLinkSlug = name =>
+  name.replace(/\s+/g, '-').toLowerCase();
+
+/**
+ * Register the 'data-navlink' attribute of a screen, which enables HTML
+ * 'pseudo-links' to the screen from any element with that attribute, e.g.
+ * data-navlink="to-my-screen". This is meant for app mode but works in all
+ * modes.
+ * @param {string} name - the name of the screen
+ */
+export const registerNavLink = (name) => {
+  const slug = getNavLinkSlug(name);
+  if (_.has(navLinkScreens, slug)) {
+    throw new Error(
+      `The screen ${name} has the same navlink (to-${slug}) as the screen
+       ${navLinkScreens[slug]}.`
+    );
+  }
+
+  navLinkScreens[slug] = name;
+};
+
+/**
+ * Whether an element is a navlink, i.e. it has a 'data-navlink' or a
+ * 'data-nav-back' attribute.
+ * @param {Element} element - the element
+ * @returns {boolean}
+ */
+const isNavLink = element =>
+  element.hasAttribute('data-navlink') || element.hasAttribute('data-nav-back');
+
+/**
+ * Get the options for toScreen from the attributes of a navlink, i.e.
+ *   * data-nav-params - a JSON object that is provided to the screen in its
+ *     screen data as 'params', e.g. data-nav-params='{"id":42}'
+ *   * data-nav-replace - replaces the current screen, instead of pushing
+ * @param {Element} navLink - the navlink
+ * @returns {object}
+ */
+const getNavLinkOptions = (navLink) => {
+  const options = {};
+  const params = navLink.getAttribute('data-nav-params');
+  if (params) {
+    try {
+      options.screenData = { params: JSON.parse(params) };
+    } catch (error) {
+      throw new Error(
+        `The data-nav-params of navlink
+         ${navLink.getAttribute('data-navlink')} is not valid JSON.`
+      );
+    }
+  }
+
+  if (navLink.hasAttribute('data-nav-replace')) {
+    options.replace = true;
+  }
+
+  return options;
+};
+
+/**
+ * Register a single event listener for clicks on navlinks, i.e. elements
+ * with a 'data-navlink' attribute, which go to the registered screen, or a
+ * 'data-nav-back' attribute, which go back, e.g. data-nav-back="2" goes back
+ * two screens.
+ */
+export const handleNavLinkClicks = () => {
+  document.addEventListener('click', (event) => {
+    const navLink = findElement(event.target, isNavLink);
+    if (!navLink) {
+      return;
+    }
+
+    if (navLink.hasAttribute('data-nav-back')) {
+      event.preventDefault();
+      const steps = parseInt(navLink.getAttribute('data-nav-back'), 10);
+      Promise.resolve(back(steps > 0 ? steps : undefined))
+        .catch(ignoreReportedError);
+      return;
+    }
+
+    const slug = navLink.getAttribute('data-navlink').replace(/^to-/, '');
+    if (_.has(navLinkScreens, slug)) {
+      event.preventDefault();
+      toScreen(navLinkScreens[slug], getNavLinkOptions(navLink))
+        .catch(ignoreReportedError);
+    }
+  });
+};
+
+/**
+ * Get the route of a link to one of the app's own paths. Links that leave
+ * the app (e.g. to another origin, or outside the base path), that open in
+ * another window, or that only change the hash fragment of the current page,
+ * are left to the browser.
+ * @param {Element} link - the link
+ * @returns {{path: string, search: string, hash: string}|null} - the route
+ */
+const getRouteOfLink = (link) => {
+  const location = window.location;
+  const isSameOrigin = link.protocol === location.protocol &&
+    link.host === location.host;
+  const opensElsewhere = (link.target && link.target !== '_self') ||
+    link.hasAttribute('download') ||
+    link.getAttribute('rel') === 'external';
+  if (!isSameOrigin || opensElsewhere) {
+    return null;
+  }
+
+  const isSamePage = link.pathname === location.pathname &&
+    link.search === location.search;
+  if (config.historyMode === 'hash') {
+    // Only a route in the hash fragment of this page is a link to a screen.
+    return isSamePage && /^#\//.test(link.hash) ?
+      getRouteFromUrl(link.href) : null;
+  }
+
+  if (isSamePage && link.hash) {
+    // It's a link to an anchor on the current page.
+    return null;
+  }
+
+  const basePath = getBasePath();
+  if (basePath && link.pathname !== basePath &&
+    link.pathname.indexOf(`${basePath}/`) !== 0) {
+    // It's outside the base path, so it's not a link to the app.
+    return null;
+  }
+
+  return getRouteFromUrl(link.href);
+};
+
+/**
+ * Register an event listener for clicks on links (<a href>) to the app's own
+ * paths, in order to go to their screens without reloading the page. Clicks
+ * with a modifier key (e.g. to open a new tab), or other than the primary
+ * button, and links to paths that are not registered, fall through to the
+ * browser.
+ */
+export const handleLinkClicks = () => {
+  document.addEventListener('click', (event) => {
+    if (
+      event.defaultPrevented ||
+      event.button !== 0 ||
+      event.metaKey ||
+      event.ctrlKey ||
+      event.shiftKey ||
+      event.altKey
+    ) {
+      return;
+    }
+
+    const link = findElement(event.target, isLink);
+    const route = link && getRouteOfLink(link);
+    if (route && isRegisteredPath(route.path)) {
+      event.preventDefault();
+      openRoute(route);
+    }
+  });
+};
@@ -0,0 +1,105 @@
+/**
+ * @file Defines the functions that detect and track the navigation mode
+ * @author Derek Gransaull <derek@dgtlife.com>
+ * @copyright DGTLife, LLC 2017
+ */
+import { Meteor } from 'meteor/meteor';
+import { ReactiveVar } from 'meteor/reactive-var';
+import { _ } from 'meteor/underscore';
+import { config } from './nav-common.js';
+
+// The modes that Navigate runs in.
+export const appMode = 'app';
+export const browserMode = 'browser';
+
+// A reactive variable for the current mode, i.e. 'app' or 'browser'.
+const currentMode = new ReactiveVar(browserMode);
+
+/*
+ * TRUE when the mode is set by the 'inAppModeOnIos'/'inAppModeOnAndroid'
+ * config options, in which case it is not detected.
+ */
+let isModeOverridden = false;
+
+// The media query that matches an installed web app in its own window.
+const standaloneMediaQuery =
+  '(display-mode: standalone), (display-mode: fullscreen)';
+
+/**
+ * Get the MediaQueryList for the standalone display mode, if the browser
+ * supports media queries.
+ * @returns {MediaQueryList|null}
+ */
+const getStandaloneMediaQueryList = () =>
+  (_.isFunction(window.matchMedia) ?
+    window.matchMedia(standaloneMediaQuery) : null);
+
+/**
+ * Detect the mode that the app should run in, i.e. App Mode in Cordova, in an
+ * installed web app displayed standalone, or on iOS when saved to the Home
+ * screen, and Browser Mode otherwise.
+ * @returns {string} - the mode
+ */
+const detectMode = () => {
+  const mediaQueryList = getStandaloneMediaQueryList();
+  const isApp = Meteor.isCordova ||
+    Boolean(window.cordova) ||
+    window.navigator.standalone === true ||
+    Boolean(mediaQueryList && mediaQueryList.matches);
+
+  return isApp ? appMode : browserMode;
+};
+
+/**
+ * Get the current mode, i.e. 'app' or 'browser' (reactive).
+ * @returns {string}
+ */
+export const mode = () => currentMode.get();
+
+/**
+ * Whether we are in App mode or not.
+ * @returns {boolean}
+ */
+export const inAppMode = () =>
+  Tracker.nonreactive(() => currentMode.get()) === appMode;
+
+/**
+ * Set the initial mode, i.e. the one that the config options provided to
+ * Nav.run set, or else the detected one.
+ * @param {object} options - the config options provided to Nav.run
+ */
+export const initMode = (options) => {
+  isModeOverridden = _.has(options, 'inAppModeOnIos') ||
+    _.has(options, 'inAppModeOnAndroid');
+
+  if (isModeOverridden) {
+    currentMode.set(
+      config.inAppModeOnIos || config.inAppModeOnAndroid ?
+        appMode : browserMode
+    );
+  } else {
+    currentMode.set(detectMode());
+  }
+};
+
+/**
+ * Re-evaluate the mode whenever the display mode changes, e.g. when the
+ * window of an installed web app pops out to the browser, unless the mode is
+ * set by the config options.
+ * @param {function} onModeChange - the function that switches to the new
+ *                                  mode, which receives the new mode
+ */
+export const watchDisplayMode = (onModeChange) => {
+  const mediaQueryList = getStandaloneMediaQueryList();
+  if (isModeOverridden || !mediaQueryList) {
+    return;
+  }
+
+  mediaQueryList.addListener(() => {
+    const newMode = detectMode();
+    if (newMode !== Tracker.nonreactive(mode)) {
+      currentMode.set(newMode);
+      onModeChange(newMode);
+    }
+  });
+};
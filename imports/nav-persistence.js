@@ -0,0 +1,113 @@
+/**
+ * @file Defines the functions that persist the nav stacks for App Mode
+ * @author Derek Gransaull <derek@dgtlife.com>
+ * @copyright DGTLife, LLC 2017
+ */
+import { _ } from 'meteor/underscore';
+import { config, getScreen } from './nav-common.js';
+
+// The key under which the nav stacks are stored.
+const storageKey = 'dgtlife:navigate:navStack';
+
+/**
+ * Get the Web Storage object configured for persisting the nav stack, if
+ * persistence is enabled and the storage is available.
+ * @returns {Storage|null}
+ */
+const getStorage = () => {
+  if (!config.navStackStorage) {
+    // Persistence is not enabled.
+    return null;
+  }
+
+  /*
+   * Accessing Web Storage can throw, e.g. in private browsing mode on some
+   * devices, in which case we do without persistence.
+   */
+  try {
+    return window[config.navStackStorage] || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Save the nav stacks, including each entry's screen data and title, and the
+ * name of the active nav stack to the configured storage. The screen data
+ * must be JSON-serializable.
+ * @param {object} navStacks - the nav stacks, keyed by name
+ * @param {string} activeNavStack - the name of the active nav stack
+ */
+export const saveNavStacks = (navStacks, activeNavStack) => {
+  const storage = getStorage();
+  if (storage) {
+    try {
+      storage.setItem(storageKey, JSON.stringify({
+        version: config.navStackVersion,
+        activeNavStack: activeNavStack,
+        navStacks: navStacks
+      }));
+    } catch (error) {
+      // The storage is full or unavailable, so the stacks are not persisted.
+    }
+  }
+};
+
+/**
+ * Remove any persisted nav stacks from the configured storage.
+ */
+export const clearPersistedNavStacks = () => {
+  const storage = getStorage();
+  if (storage) {
+    storage.removeItem(storageKey);
+  }
+};
+
+/**
+ * Whether a persisted nav stack is valid, i.e. it is an array of entries that
+ * refer to screens that are still registered.
+ * @param {[object]} navStack - the persisted nav stack
+ * @returns {boolean}
+ */
+const isValidNavStack = navStack =>
+  _.isArray(navStack) &&
+  _.every(navStack, screenState =>
+    screenState && _.isString(screenState.name) &&
+    getScreen(screenState.name));
+
+/**
+ * Load the persisted nav stacks from the configured storage. Stacks saved by
+ * a different version of the app, or ones that refer to screens that are no
+ * longer registered, are stale, so they are discarded.
+ * @returns {{navStacks: object, activeNavStack: string}|null} - the nav
+ *   stacks and the name of the active one, or null if there are no valid ones
+ */
+export const loadNavStacks = () => {
+  const storage = getStorage();
+  if (!storage) {
+    return null;
+  }
+
+  let persisted;
+  try {
+    persisted = JSON.parse(storage.getItem(storageKey));
+  } catch (error) {
+    persisted = null;
+  }
+
+  const isValid = persisted &&
+    persisted.version === config.navStackVersion &&
+    _.isObject(persisted.navStacks) &&
+    _.every(_.values(persisted.navStacks), isValidNavStack) &&
+    _.isString(persisted.activeNavStack) &&
+    _.has(persisted.navStacks, persisted.activeNavStack) &&
+    persisted.navStacks[persisted.activeNavStack].length > 0;
+
+  if (!isValid) {
+    // Discard the stale (or corrupt) stacks.
+    clearPersistedNavStacks();
+    return null;
+  }
+
+  return _.pick(persisted, 'navStacks', 'activeNavStack');
+};
@@ -0,0 +1,159 @@
+/**
+ * @file Defines the functions for navigating content regions independently
+ * @author Derek Gransaull <derek@dgtlife.com>
+ * @copyright DGTLife, LLC 2017
+ */
+import { ReactiveDict } from 'meteor/reactive-dict';
+import { _ } from 'meteor/underscore';
+import { check, Match } from 'meteor/check';
+import Pattern from './pattern.js';
+import {
+  config,
+  getContentTemplate,
+  setContentTemplate
+} from './nav-common.js';
+
+/*
+ * The history of each content region (keyed by content helper), i.e. an
+ * array of the templates and region data that the region has shown, since the
+ * current screen was entered.
+ */
+const regionHistories = {};
+
+// Reactive dictionaries for the data and history length of each region.
+const regionDataDict = new ReactiveDict();
+const regionHistoryLengthDict = new ReactiveDict();
+
+/**
+ * Check that a content helper has been registered via Nav.run.
+ * @param {string} helper - the content helper of the region
+ */
+const checkRegion = (helper) => {
+  check(helper, Pattern.nonEmptyString);
+  if (!_.contains(config.contentHelpers, helper)) {
+    throw new Error(
+      `A content helper named ${helper} has not been registered.`
+    );
+  }
+};
+
+/**
+ * Set the history of a region, and the reactive variable with its length.
+ * @param {string} helper - the content helper of the region
+ * @param {[object]} history - the history of the region
+ */
+const setRegionHistory = (helper, history) => {
+  regionHistories[helper] = history;
+  regionHistoryLengthDict.set(helper, history.length);
+};
+
+/**
+ * Reset the region data and history of every region. This is done on each
+ * screen transition, since the regions then belong to a new screen.
+ */
+export const resetRegions = () => {
+  _.each(config.contentHelpers, (helper) => {
+    regionDataDict.set(helper, {});
+    setRegionHistory(helper, []);
+  });
+};
+
+/**
+ * Get the name of the template currently rendered into a region (reactive).
+ * @param {string} helper - the content helper of the region
+ * @returns {string|null}
+ */
+export const currentRegionTemplate = (helper) => {
+  checkRegion(helper);
+  return getContentTemplate(helper);
+};
+
+/**
+ * Get the data associated with the template currently rendered into a region
+ * (reactive).
+ * @param {string} helper - the content helper of the region
+ * @returns {object}
+ */
+export const regionData = (helper) => {
+  checkRegion(helper);
+  return regionDataDict.get(helper) || {};
+};
+
+/**
+ * Get the length of the history of a region (reactive).
+ * @param {string} helper - the content helper of the region
+ * @returns {number}
+ */
+export const regionHistoryLength = (helper) => {
+  checkRegion(helper);
+  return regionHistoryLengthDict.get(helper) || 0;
+};
+
+/**
+ * Navigate a single content region, i.e. render a template into it, without
+ * changing the current screen or any other region. Options can be provided:
+ *   * {object} regionData - an object containing any data that is essential
+ *                           to render the template
+ *   * {boolean} shouldUpdateRegionHistory - indicates whether the region
+ *                                           history should be updated or not
+ * @param {string} helper - the content helper of the region
+ * @param {string} template - the name of the template
+ * @param {object} [options] - other region properties
+ * @returns {boolean} - FALSE if the region already shows this template with
+ *                      this data
+ */
+export const toRegion = (helper, template, options) => {
+  checkRegion(helper);
+  check(template, Pattern.nonEmptyString);
+  if (options) {
+    check(options, {
+      regionData: Match.Optional(Object),
+      shouldUpdateRegionHistory: Match.Optional(Boolean)
+    });
+  }
+
+  const data = (options && options.regionData) || {};
+  const currentTemplate = Tracker.nonreactive(() => getContentTemplate(helper));
+  const currentData = Tracker.nonreactive(() => regionDataDict.get(helper));
+  if (currentTemplate === template && _.isEqual(currentData || {}, data)) {
+    // We are already there.
+    return false;
+  }
+
+  // Update the region history, unless it's explicitly prevented.
+  const shouldUpdateRegionHistory =
+    !(options && options.shouldUpdateRegionHistory === false);
+  if (shouldUpdateRegionHistory && currentTemplate) {
+    setRegionHistory(
+      helper,
+      (regionHistories[helper] || []).concat({
+        template: currentTemplate,
+        regionData: currentData || {}
+      })
+    );
+  }
+
+  // Render the template into the region.
+  regionDataDict.set(helper, data);
+  setContentTemplate(helper, template);
+  return true;
+};
+
+/**
+ * Go back to the previous template in a region's history.
+ * @param {string} helper - the content helper of the region
+ * @returns {boolean} - FALSE if the region has no history
+ */
+export const regionBack = (helper) => {
+  checkRegion(helper);
+  const history = regionHistories[helper] || [];
+  if (history.length === 0) {
+    return false;
+  }
+
+  const previous = _.last(history);
+  setRegionHistory(helper, _.initial(history));
+  regionDataDict.set(helper, previous.regionData);
+  setContentTemplate(helper, previous.template);
+  return true;
+};
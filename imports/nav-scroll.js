@@ -0,0 +1,160 @@
+/**
+ * @file Defines the functions that record and restore scroll positions
+ * @author Derek Gransaull <derek@dgtlife.com>
+ * @copyright DGTLife, LLC 2017
+ */
+import { Meteor } from 'meteor/meteor';
+import { _ } from 'meteor/underscore';
+import { config } from './nav-common.js';
+import { navStack } from './nav-app.js';
+import { inAppMode } from './nav-mode.js';
+
+/*
+ * The scroll positions recorded for browser history entries, keyed by screen
+ * id (sid). This covers entries that are left via Back or Forward, whose
+ * state object can no longer be updated.
+ */
+const scrollPositionsBySid = {};
+
+/**
+ * Get the elements of the configured scroll containers that are rendered,
+ * keyed by content helper.
+ * @returns {object}
+ */
+const getScrollContainers = () => {
+  const containers = {};
+  _.each(config.scrollContainers, (selector, helper) => {
+    const element = document.querySelector(selector);
+    if (element) {
+      containers[helper] = element;
+    }
+  });
+
+  return containers;
+};
+
+/**
+ * Get the current scroll positions, i.e. those of the window and of each
+ * configured scroll container, as [x, y] pairs.
+ * @returns {{window: [number], containers: object}}
+ */
+export const getScrollPositions = () => {
+  const containers = {};
+  _.each(getScrollContainers(), (element, helper) => {
+    containers[helper] = [element.scrollLeft, element.scrollTop];
+  });
+
+  return {
+    window: [window.pageXOffset, window.pageYOffset],
+    containers: containers
+  };
+};
+
+/**
+ * Record the scroll positions of a browser history entry that is being left.
+ * @param {number} sid - the screen id of the entry
+ */
+export const recordScrollForHistoryEntry = (sid) => {
+  if (config.restoreScroll) {
+    scrollPositionsBySid[sid] = getScrollPositions();
+  }
+};
+
+/**
+ * Forget the scroll positions of the browser history entries from a screen id
+ * on, e.g. when a new entry is pushed, since those entries are discarded.
+ * @param {number} sid - the screen id of the first discarded entry
+ */
+export const forgetScrollFromHistoryEntry = (sid) => {
+  _.each(_.keys(scrollPositionsBySid), (key) => {
+    if (Number(key) >= sid) {
+      delete scrollPositionsBySid[key];
+    }
+  });
+};
+
+/**
+ * Get the scroll positions recorded for the current screen, i.e. for the top
+ * of the nav stack (App mode), or the current browser history entry.
+ * @returns {object|undefined}
+ */
+const getRecordedScrollPositions = () => {
+  if (inAppMode()) {
+    const topScreen = navStack[navStack.length - 1];
+    return topScreen && topScreen.scroll;
+  }
+
+  const state = window.history.state;
+  return state && (scrollPositionsBySid[state.sid] || state.scroll);
+};
+
+/**
+ * Scroll the window and the configured scroll containers to the recorded
+ * positions.
+ * @param {object} positions - the recorded scroll positions
+ */
+const applyScrollPositions = (positions) => {
+  window.scrollTo(positions.window[0], positions.window[1]);
+  _.each(getScrollContainers(), (element, helper) => {
+    const position = positions.containers[helper] || [0, 0];
+    element.scrollLeft = position[0];
+    element.scrollTop = position[1];
+  });
+};
+
+/**
+ * Scroll to the element identified by the hash fragment, if there is one, or
+ * else scroll the window and the configured scroll containers to the top.
+ * @param {string} hash - the hash fragment, without the leading '#'
+ */
+const scrollToHashOrTop = (hash) => {
+  const element = hash &&
+    (document.getElementById(hash) || document.getElementsByName(hash)[0]);
+  if (element) {
+    element.scrollIntoView();
+    return;
+  }
+
+  window.scrollTo(0, 0);
+  _.each(getScrollContainers(), (container) => {
+    container.scrollLeft = 0;
+    container.scrollTop = 0;
+  });
+};
+
+/**
+ * Restore the scroll positions of the current screen once it is rendered,
+ * i.e. after the 'onRendered' callbacks of its templates. On backward
+ * navigation, the recorded positions are restored; otherwise, the screen is
+ * scrolled to the top, or to the element of the hash fragment. The recorded
+ * positions are looked up then, since the nav stack is only unwound once the
+ * transition has been committed.
+ * @param {string} direction - the direction of the transition
+ * @param {string} hash - the hash fragment of the screen
+ */
+export const restoreScroll = (direction, hash) => {
+  if (!config.restoreScroll) {
+    return;
+  }
+
+  Tracker.afterFlush(() => {
+    Meteor.defer(() => {
+      const positions = direction === 'back' ?
+        getRecordedScrollPositions() : undefined;
+      if (positions) {
+        applyScrollPositions(positions);
+      } else {
+        scrollToHashOrTop(hash);
+      }
+    });
+  });
+};
+
+/**
+ * Take over scroll restoration from the browser, if it's enabled.
+ */
+export const initScrollRestoration = () => {
+  if (config.restoreScroll && 'scrollRestoration' in window.history) {
+    window.history.scrollRestoration = 'manual';
+  }
+};
@@ -0,0 +1,223 @@
+/**
+ * @file Defines the functions that compile Express-style path masks
+ * @author Derek Gransaull <derek@dgtlife.com>
+ * @copyright DGTLife, LLC 2017
+ */
+import { _ } from 'meteor/underscore';
+import { decodeSafely } from './query-string.js';
+
+/**
+ * Escape the characters of a literal path segment that have special meaning
+ * in a RegExp.
+ * @param {string} segment - a literal path segment
+ * @returns {string} - the escaped segment
+ */
+const escapeSegment = segment =>
+  segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a path or path mask into its segments, ignoring the leading slash and
+ * any trailing slash.
+ * @param {string} mask - a path or path mask
+ * @returns {[string]} - the segments
+ */
+const splitIntoSegments = mask =>
+  _.compact(mask.split('/'));
+
+/**
+ * Parse a single segment of a path mask. A segment is one of:
+ *   * a parameter, e.g. ':projectId'
+ *   * an optional parameter, e.g. ':taskId?'
+ *   * a wildcard, i.e. '*', which matches the remainder of the path
+ *   * a literal, e.g. 'projects'
+ * @param {string} segment - a segment of a path mask
+ * @returns {object} - the parsed segment
+ */
+const parseSegment = (segment) => {
+  const paramMatch = /^:([A-Za-z_$][\w$]*)(\?)?$/.exec(segment);
+  if (paramMatch) {
+    return {
+      type: 'param',
+      name: paramMatch[1],
+      optional: paramMatch[2] === '?'
+    };
+  }
+
+  if (segment === '*') {
+    return { type: 'wildcard', name: '0', optional: true };
+  }
+
+  return { type: 'literal', value: segment };
+};
+
+/**
+ * Compile a path mask, e.g. '/projects/:projectId/tasks/:taskId?', into a
+ * RegExp that matches it, along with the ordered names of its parameters.
+ * @param {string} pathMask - the path mask
+ * @returns {{pathPattern: RegExp, paramNames: [string]}}
+ */
+export const compilePathMask = (pathMask) => {
+  const segments = _.map(splitIntoSegments(pathMask), parseSegment);
+  const paramNames = [];
+  let source = '';
+
+  _.each(segments, (segment) => {
+    if (segment.type === 'literal') {
+      source += `/${escapeSegment(segment.value)}`;
+    } else if (segment.type === 'wildcard') {
+      paramNames.push(segment.name);
+      source += '(?:/(.*))?';
+    } else {
+      if (_.contains(paramNames, segment.name)) {
+        throw new Error(
+          `The parameter ${segment.name} appears more than once in path mask
+           ${pathMask}`
+        );
+      }
+
+      paramNames.push(segment.name);
+      source += segment.optional ? '(?:/([^/]+?))?' : '/([^/]+?)';
+    }
+  });
+
+  return {
+    pathPattern: new RegExp(`^${source || '/'}$`),
+    paramNames: paramNames
+  };
+};
+
+/**
+ * Compile a literal path, e.g. '/about', into a RegExp that only it matches.
+ * @param {string} path - the literal path
+ * @returns {RegExp}
+ */
+export const compilePath = (path) => {
+  const source = _.map(
+    splitIntoSegments(path),
+    segment => `/${escapeSegment(segment)}`
+  ).join('');
+
+  return new RegExp(`^${source || '/'}$`);
+};
+
+/**
+ * Build a params object from the result of calling 'exec' on a compiled path
+ * pattern. Parameter values are URI-decoded; optional parameters that are
+ * absent from the path are left undefined.
+ * @param {array} execResult - the result of the 'exec' call
+ * @param {[string]} paramNames - the ordered names of the parameters
+ * @returns {object} - the params, keyed by name
+ */
+export const getParamsFromExecResult = (execResult, paramNames) => {
+  const params = {};
+  _.each(paramNames, (paramName, index) => {
+    const value = execResult[index + 1];
+    params[paramName] = _.isUndefined(value) ?
+      undefined : decodeSafely(value);
+  });
+
+  return params;
+};
+
+/**
+ * Generate a path from a path mask and a params object. This is the default
+ * 'generatePath' function for screens registered with a path mask.
+ * @param {string} pathMask - the path mask
+ * @param {object} params - the parameter values, keyed by name
+ * @returns {string} - the generated path
+ */
+export const generatePathFromMask = (pathMask, params) => {
+  const values = params || {};
+  const path = _.map(
+    _.map(splitIntoSegments(pathMask), parseSegment),
+    (segment) => {
+      if (segment.type === 'literal') {
+        return `/${segment.value}`;
+      }
+
+      const value = values[segment.name];
+      if (_.isUndefined(value) || _.isNull(value) || value === '') {
+        if (segment.optional) {
+          return '';
+        }
+
+        throw new Error(
+          `The parameter ${segment.name} is required by path mask ${pathMask}`
+        );
+      }
+
+      // A wildcard may span several segments, so keep its slashes.
+      if (segment.type === 'wildcard') {
+        return `/${_.map(String(value).split('/'), encodeURIComponent)
+          .join('/')}`;
+      }
+
+      return `/${encodeURIComponent(value)}`;
+    }
+  ).join('');
+
+  return path || '/';
+};
+
+// The specificity scores of the types of segment, used to rank path masks.
+const segmentScores = {
+  literal: 4,
+  param: 3,
+  optionalParam: 2,
+  wildcard: 1
+};
+
+/**
+ * Get the rank of a path or path mask, i.e. the specificity score of each of
+ * its segments. Literal segments are more specific than parameters, which are
+ * more specific than optional parameters, which are more specific than
+ * wildcards.
+ * @param {string} pathMask - the path or path mask
+ * @param {boolean} [isLiteral] - TRUE if it's a literal path
+ * @returns {[number]} - the rank
+ */
+export const getPathRank = (pathMask, isLiteral) =>
+  _.map(splitIntoSegments(pathMask), (segment) => {
+    const parsedSegment = isLiteral ?
+      { type: 'literal' } : parseSegment(segment);
+    if (parsedSegment.type === 'param' && parsedSegment.optional) {
+      return segmentScores.optionalParam;
+    }
+
+    return segmentScores[parsedSegment.type];
+  });
+
+/**
+ * Compare the ranks of two paths or path masks, segment by segment, for
+ * sorting the more specific one first. If one rank is a prefix of the other,
+ * the shorter one is more specific, e.g. '/files' before '/files/*'.
+ * @param {[number]} rankA - the first rank
+ * @param {[number]} rankB - the second rank
+ * @returns {number} - negative if the first is more specific, positive if the
+ *                     second is, and zero if they are equally specific
+ */
+export const comparePathRanks = (rankA, rankB) => {
+  const commonLength = Math.min(rankA.length, rankB.length);
+  for (let index = 0; index < commonLength; index += 1) {
+    if (rankA[index] !== rankB[index]) {
+      return rankB[index] - rankA[index];
+    }
+  }
+
+  return rankA.length - rankB.length;
+};
+
+/**
+ * Generate a sample path from a path mask, i.e. with a sample value for each
+ * parameter, e.g. to check which patterns match it.
+ * @param {string} pathMask - the path mask
+ * @returns {string} - the sample path
+ */
+export const generateSamplePath = (pathMask) => {
+  const sampleParams = {};
+  _.each(compilePathMask(pathMask).paramNames, (paramName) => {
+    sampleParams[paramName] = '1';
+  });
+
+  return generatePathFromMask(pathMask, sampleParams);
+};
@@ -0,0 +1,106 @@
+/**
+ * @file Defines the functions that parse and serialize query strings
+ * @author Derek Gransaull <derek@dgtlife.com>
+ * @copyright DGTLife, LLC 2017
+ */
+import { _ } from 'meteor/underscore';
+
+/**
+ * Decode a URI component, or return it as is if it is malformed (e.g. '100%'),
+ * so that a bad URL does not break the app.
+ * @param {string} component - the encoded component
+ * @returns {string} - the decoded component
+ */
+export const decodeSafely = (component) => {
+  try {
+    return decodeURIComponent(component);
+  } catch (error) {
+    return component;
+  }
+};
+
+/**
+ * Decode a component of a query string, treating '+' as a space.
+ * @param {string} component - the encoded component
+ * @returns {string} - the decoded component
+ */
+const decodeComponent = component =>
+  decodeSafely(component.replace(/\+/g, ' '));
+
+/**
+ * Parse a query string, e.g. '?q=foo&page=2', into a params object. A key
+ * that appears more than once yields an array of values.
+ * @param {string} search - the query string, with or without the leading '?'
+ * @returns {object} - the query params, keyed by name
+ */
+export const parseQuery = (search) => {
+  const query = {};
+  if (!search) {
+    return query;
+  }
+
+  _.each(search.replace(/^\?/, '').split('&'), (pair) => {
+    if (pair) {
+      const separatorIndex = pair.indexOf('=');
+      const key = decodeComponent(
+        separatorIndex === -1 ? pair : pair.slice(0, separatorIndex)
+      );
+      const value = separatorIndex === -1 ?
+        '' : decodeComponent(pair.slice(separatorIndex + 1));
+
+      if (!_.has(query, key)) {
+        query[key] = value;
+      } else if (_.isArray(query[key])) {
+        query[key].push(value);
+      } else {
+        query[key] = [query[key], value];
+      }
+    }
+  });
+
+  return query;
+};
+
+/**
+ * Serialize a params object into a query string. Array values are repeated
+ * under the same key; null and undefined values are skipped.
+ * @param {object} query - the query params, keyed by name
+ * @returns {string} - the query string, including the leading '?', or an
+ *                     empty string if there are no params
+ */
+export const serializeQuery = (query) => {
+  const pairs = [];
+  _.each(query, (value, key) => {
+    _.each(_.isArray(value) ? value : [value], (member) => {
+      if (!_.isUndefined(member) && !_.isNull(member)) {
+        pairs.push(
+          `${encodeURIComponent(key)}=${encodeURIComponent(member)}`
+        );
+      }
+    });
+  });
+
+  return pairs.length > 0 ? `?${pairs.join('&')}` : '';
+};
+
+/**
+ * Normalize a hash fragment, i.e. remove the leading '#' and decode it.
+ * @param {string} hash - the hash fragment, with or without the leading '#'
+ * @returns {string} - the normalized hash fragment
+ */
+export const parseHash = (hash) => {
+  if (!hash) {
+    return '';
+  }
+
+  return decodeSafely(hash.replace(/^#/, ''));
+};
+
+/**
+ * Serialize a hash fragment for use in a URL.
+ * @param {string} hash - the hash fragment, without the leading '#'
+ * @returns {string} - the hash fragment, including the leading '#', or an
+ *                     empty string if there is no hash fragment
+ */
+export const serializeHash = hash =>
+  (hash ? `#${encodeURI(hash)}` : '');
@@ -0,0 +1,111 @@
+/**
+ * @file Defines the development-time checks of the registered paths
+ * @author Derek Gransaull <derek@dgtlife.com>
+ * @copyright DGTLife, LLC 2017
+ */
+import { _ } from 'meteor/underscore';
+import { screens, pathLookup } from './nav-common.js';
+import { comparePathRanks, generateSamplePath } from './path-mask.js';
+
+/**
+ * Log a warning about a registered path.
+ * @param {string} message - the warning
+ */
+const warn = (message) => {
+  // eslint-disable-next-line no-console
+  console.warn(`Navigate: ${message}`);
+};
+
+/**
+ * Get a sample path that a registered path pattern is meant to match, i.e.
+ * its literal path, or its path mask with a sample value for each parameter.
+ * @param {object} registeredPath - the path pattern object
+ * @returns {string|null} - the sample path, or null if its mask is invalid
+ */
+const getSamplePath = (registeredPath) => {
+  if (registeredPath.isLiteral) {
+    return registeredPath.mask;
+  }
+
+  try {
+    return generateSamplePath(registeredPath.mask);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Warn about screens that share the same literal path.
+ */
+const warnAboutDuplicatePaths = () => {
+  const screensByPath = _.groupBy(
+    _.filter(screens, screen => screen.path),
+    'path'
+  );
+  _.each(screensByPath, (screensWithPath, path) => {
+    if (screensWithPath.length > 1) {
+      warn(
+        `The screens ${_.pluck(screensWithPath, 'name').join(', ')} share ` +
+        `the path ${path}.`
+      );
+    }
+  });
+};
+
+/**
+ * Warn about paths and path masks that their own path pattern does not match,
+ * e.g. because an explicit 'pathPattern' is out of step with the 'path'.
+ */
+const warnAboutMismatchedPatterns = () => {
+  _.each(pathLookup, (registeredPath) => {
+    const samplePath = getSamplePath(registeredPath);
+    if (samplePath && !registeredPath.pathPattern.test(samplePath)) {
+      warn(
+        `The path pattern ${registeredPath.pathPattern} of screen ` +
+        `${registeredPath.name} does not match its own path ` +
+        `${registeredPath.mask} (tried ${samplePath}).`
+      );
+    }
+  });
+};
+
+/**
+ * Warn about path patterns that overlap ambiguously, i.e. a pattern that
+ * matches a path meant for a different screen, when their ranks do not
+ * decide which one wins, so only the order of registration does.
+ */
+const warnAboutAmbiguousPatterns = () => {
+  _.each(pathLookup, (registeredPath) => {
+    const samplePath = getSamplePath(registeredPath);
+    if (!samplePath) {
+      return;
+    }
+
+    _.each(pathLookup, (otherPath) => {
+      if (
+        otherPath.name !== registeredPath.name &&
+        otherPath.order < registeredPath.order &&
+        comparePathRanks(otherPath.rank, registeredPath.rank) === 0 &&
+        otherPath.pathPattern.test(samplePath)
+      ) {
+        warn(
+          `The paths ${otherPath.mask} (screen ${otherPath.name}) and ` +
+          `${registeredPath.mask} (screen ${registeredPath.name}) overlap, ` +
+          `e.g. on ${samplePath}. Screen ${otherPath.name} wins, because it ` +
+          'was registered first.'
+        );
+      }
+    });
+  });
+};
+
+/**
+ * Warn about problems with the registered paths: duplicate paths, patterns
+ * that do not match their own path or path mask, and patterns that overlap
+ * ambiguously. This is meant to run in development only.
+ */
+export const warnAboutRouteProblems = () => {
+  warnAboutDuplicatePaths();
+  warnAboutMismatchedPatterns();
+  warnAboutAmbiguousPatterns();
+};
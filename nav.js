@@ -5,30 +5,82 @@
  */
 import {
   registerScreen,
+  registerRedirect,
   run,
   toScreen,
   currentScreen,
+  currentRoute,
+  transitionDirection,
   getScreen,
   screenData,
+  queryParams,
+  hashFragment,
+  modalData,
+  navigationError,
+  isModalPresented,
+  dismissModal,
   navStackLength,
+  activeNavStack,
   isComputing,
   toHome,
   getPreviousTitle,
   back
 } from './imports/nav-common.js';
-import { resetNavStack } from './imports/nav-app.js';
+import {
+  resetNavStack,
+  forward,
+  popTo,
+  popToRoot,
+  replace,
+  switchNavStack
+} from './imports/nav-app.js';
+import { retry, openUrl } from './imports/nav-browser.js';
+import { mode } from './imports/nav-mode.js';
+import { pathFor, isActiveScreen } from './imports/nav-links.js';
+import {
+  toRegion,
+  regionBack,
+  currentRegionTemplate,
+  regionData,
+  regionHistoryLength
+} from './imports/nav-regions.js';
 
 export {
   registerScreen,
+  registerRedirect,
   run,
   toScreen,
   currentScreen,
+  currentRoute,
+  transitionDirection,
   getScreen,
   screenData,
+  queryParams,
+  hashFragment,
+  modalData,
+  navigationError,
+  isModalPresented,
+  dismissModal,
   navStackLength,
+  activeNavStack,
   isComputing,
   toHome,
   getPreviousTitle,
   back,
-  resetNavStack
+  resetNavStack,
+  forward,
+  popTo,
+  popToRoot,
+  replace,
+  switchNavStack,
+  toRegion,
+  regionBack,
+  currentRegionTemplate,
+  regionData,
+  regionHistoryLength,
+  retry,
+  openUrl,
+  mode,
+  pathFor,
+  isActiveScreen
 };